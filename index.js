@@ -3,8 +3,12 @@ import blessed from 'neo-blessed';
 import fs from 'fs';
 import path from 'path';
 import http from 'http';
+import https from 'https';
 import { homedir } from 'os';
-import { execSync } from 'child_process';
+import { Readable, Writable } from 'stream';
+import { parseArgs } from 'util';
+import { secp256k1 } from '@noble/curves/secp256k1';
+import { keccak_256 } from '@noble/hashes/sha3';
 
 // State directory (relative to script location)
 const stateDir = path.join(path.dirname(process.argv[1]) || '.', 'state');
@@ -51,13 +55,30 @@ function migrateOldConfig() {
 
 migrateOldConfig();
 
+// Node profiles live under "nodes" in config.json. Older configs with a
+// top-level "api"/"batchId" are folded into a single "default" profile.
+function normalizeConfig(raw) {
+  const cfg = { ...raw };
+  if (!cfg.nodes || typeof cfg.nodes !== 'object' || Object.keys(cfg.nodes).length === 0) {
+    cfg.nodes = {
+      default: { ...(raw.api || {}), batchId: raw.batchId || '' },
+    };
+    delete cfg.api;
+    delete cfg.batchId;
+  }
+  if (!cfg.activeNode || !cfg.nodes[cfg.activeNode]) {
+    cfg.activeNode = Object.keys(cfg.nodes)[0];
+  }
+  return cfg;
+}
+
 function loadConfig() {
   try {
     if (fs.existsSync(configPath)) {
-      return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      return normalizeConfig(JSON.parse(fs.readFileSync(configPath, 'utf8')));
     }
   } catch {}
-  return {};
+  return normalizeConfig({});
 }
 
 function saveConfig(config) {
@@ -66,86 +87,801 @@ function saveConfig(config) {
   } catch {}
 }
 
-function loadUploadsDb() {
+// Each node profile keeps its own uploads DB, since tag UIDs are only unique per node.
+// The "default" profile keeps using uploads.json so existing history stays visible.
+function uploadsDbPathFor(profileName) {
+  if (!profileName || profileName === 'default') return uploadsDbPath;
+  const safeName = profileName.replace(/[^a-zA-Z0-9._-]/g, '_');
+  return path.join(stateDir, `uploads-${safeName}.json`);
+}
+
+// Uploads DB
+//
+// { version, uploads: { [tagUid]: meta } }. Each DB is kept in memory and
+// only re-read when the file changes on disk (e.g. after a headless run).
+// Writes go to a temp file that is renamed over the DB, so a crash mid-write
+// leaves the previous version intact.
+const UPLOADS_DB_VERSION = 2;
+const uploadsDbCache = new Map();
+
+function statUploadsDb(dbPath) {
+  try {
+    // ctime also catches a permission fix that makes an unreadable DB readable
+    const { mtimeMs, ctimeMs, size } = fs.statSync(dbPath);
+    return `${mtimeMs}:${ctimeMs}:${size}`;
+  } catch {
+    return null;
+  }
+}
+
+function readUploadsDbFile(dbPath) {
+  let data;
   try {
-    if (fs.existsSync(uploadsDbPath)) {
-      return JSON.parse(fs.readFileSync(uploadsDbPath, 'utf8'));
+    data = JSON.parse(fs.readFileSync(dbPath, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return { version: UPLOADS_DB_VERSION, uploads: {} };
+    // An unreadable DB (EACCES, EISDIR, ...) must not be replaced by an empty one
+    if (!(err instanceof SyntaxError)) {
+      logUpload(`DB_ERROR db="${dbPath}" error="${err.message}"`);
+      return { version: UPLOADS_DB_VERSION, uploads: {}, readOnly: true };
+    }
+    // Moved aside rather than overwritten by the next save
+    const corruptPath = `${dbPath}.corrupt-${Date.now()}`;
+    try {
+      fs.renameSync(dbPath, corruptPath);
+    } catch (renameErr) {
+      logUpload(`DB_ERROR db="${dbPath}" error="${err.message}" not moved: ${renameErr.message}`);
+      return { version: UPLOADS_DB_VERSION, uploads: {}, readOnly: true };
     }
+    logUpload(`DB_ERROR db="${dbPath}" error="${err.message}" moved="${corruptPath}"`);
+    return { version: UPLOADS_DB_VERSION, uploads: {} };
+  }
+  if (typeof data?.version === 'number') return data;
+  
+  // Version 1 was the bare map of tag uid to meta; a copy of it is kept
+  const db = { version: UPLOADS_DB_VERSION, uploads: data && typeof data === 'object' ? data : {} };
+  try {
+    fs.copyFileSync(dbPath, `${dbPath}.v1.bak`, fs.constants.COPYFILE_EXCL);
   } catch {}
-  return {};
+  writeUploadsDb(db, dbPath);
+  return db;
+}
+
+function openUploadsDb(dbPath = activeNode.dbPath) {
+  const cached = uploadsDbCache.get(dbPath);
+  if (cached && cached.stat === statUploadsDb(dbPath)) return cached;
+  const db = readUploadsDbFile(dbPath);
+  db.stat = statUploadsDb(dbPath);
+  db.byReference = null;
+  db.byPath = null;
+  if (db.readOnly) db.pending = [];
+  uploadsDbCache.set(dbPath, db);
+  // Changes made while the DB could not be read are kept until it can be
+  if (cached?.pending?.length) {
+    if (db.readOnly) {
+      db.uploads = cached.uploads;
+      db.pending = cached.pending;
+    } else {
+      for (const change of cached.pending) applyUploadsChange(db.uploads, change);
+      logUpload(`DB_RECOVERED db="${dbPath}" changes=${cached.pending.length}`);
+      writeUploadsDb(db, dbPath);
+    }
+  }
+  return db;
+}
+
+// A change is { tagUid, meta } merged into the record, or { tagUid, meta,
+// start: true } for a new upload (see startUploadMeta)
+function applyUploadsChange(uploads, { tagUid, meta, start }) {
+  if (!start) {
+    uploads[tagUid] = { ...uploads[tagUid], ...meta };
+    return;
+  }
+  if (uploads[tagUid]) {
+    let n = 1;
+    while (uploads[`${tagUid}~${n}`]) n++;
+    uploads[`${tagUid}~${n}`] = uploads[tagUid];
+  }
+  uploads[tagUid] = meta;
+}
+
+function changeUploadsDb(db, change) {
+  applyUploadsChange(db.uploads, change);
+  if (db.readOnly) db.pending.push(change);
+}
+
+function isUploadsDbReadable(dbPath = activeNode.dbPath) {
+  return !openUploadsDb(dbPath).readOnly;
 }
 
-function saveUploadMeta(tagUid, meta) {
-  const db = loadUploadsDb();
-  db[tagUid] = { ...db[tagUid], ...meta };
+// The returned map is the cached one and must not be modified
+function loadUploadsDb(dbPath = activeNode.dbPath) {
+  return openUploadsDb(dbPath).uploads;
+}
+
+// Encrypted references embed their decryption key, so a database holding
+// any of them is made readable by its owner only
+function writeUploadsDb(db, dbPath) {
+  db.byReference = null;
+  db.byPath = null;
+  // Unreadable (changes are kept for later, see openUploadsDb), or written
+  // by a newer version (changes stay in memory)
+  if (db.readOnly || db.version > UPLOADS_DB_VERSION) {
+    logUpload(`DB_ERROR db="${dbPath}" error="${db.readOnly ? 'could not be read' : `unsupported version ${db.version}`}, not saved"`);
+    return;
+  }
+  const tmpPath = `${dbPath}.${process.pid}.tmp`;
+  const mode = Object.values(db.uploads).some(meta => meta.encrypted) ? 0o600 : 0o666;
   try {
-    fs.writeFileSync(uploadsDbPath, JSON.stringify(db, null, 2));
-  } catch {}
+    const fd = fs.openSync(tmpPath, 'w', mode);
+    try {
+      fs.writeSync(fd, JSON.stringify({ version: db.version, uploads: db.uploads }, null, 2));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmpPath, dbPath);
+    db.stat = statUploadsDb(dbPath);
+  } catch (err) {
+    try {
+      fs.unlinkSync(tmpPath);
+    } catch {}
+    logUpload(`DB_ERROR db="${dbPath}" error="${err.message}"`);
+  }
+}
+
+function saveUploadMeta(tagUid, meta, dbPath = activeNode.dbPath) {
+  saveUploadsMeta({ [tagUid]: meta }, dbPath);
+}
+
+// Several uploads' changes ({ [tagUid]: meta }) in a single write
+function saveUploadsMeta(changes, dbPath = activeNode.dbPath) {
+  const db = openUploadsDb(dbPath);
+  for (const [tagUid, meta] of Object.entries(changes)) {
+    changeUploadsDb(db, { tagUid, meta });
+  }
+  writeUploadsDb(db, dbPath);
+}
+
+// Starts the record of a new upload. Tag uids start over when a node is reset,
+// so an earlier record with the same uid is kept as `${uid}~${n}` rather than
+// being merged into.
+function startUploadMeta(tagUid, meta, dbPath = activeNode.dbPath) {
+  const db = openUploadsDb(dbPath);
+  changeUploadsDb(db, { tagUid, meta, start: true });
+  writeUploadsDb(db, dbPath);
+}
+
+function getUploadMeta(tagUid, dbPath = activeNode.dbPath) {
+  return openUploadsDb(dbPath).uploads[tagUid] || null;
+}
+
+// Every upload of this reference (the same content may have been uploaded
+// several times); the reference index is rebuilt after each change
+function findUploadsByReference(reference, dbPath = activeNode.dbPath) {
+  const db = openUploadsDb(dbPath);
+  if (!db.byReference) {
+    db.byReference = new Map();
+    for (const meta of Object.values(db.uploads)) {
+      if (!meta.reference) continue;
+      if (!db.byReference.has(meta.reference)) db.byReference.set(meta.reference, []);
+      db.byReference.get(meta.reference).push(meta);
+    }
+  }
+  return db.byReference.get(reference) || [];
+}
+
+// Latest completed upload of each local path: { reference, date, size, mtime,
+// within } for files, { reference, date, files } for directories. Files
+// uploaded as part of a directory carry its reference, with `within` naming
+// the directory.
+function getUploadsByPath(dbPath = activeNode.dbPath) {
+  const db = openUploadsDb(dbPath);
+  if (!db.byPath) {
+    db.byPath = new Map();
+    const add = (fullPath, upload) => {
+      const known = db.byPath.get(fullPath);
+      if (!known || known.date < upload.date) db.byPath.set(fullPath, upload);
+    };
+    for (const meta of Object.values(db.uploads)) {
+      if (!meta.reference || !meta.sourcePath) continue;
+      const { reference, date } = meta;
+      if (!meta.isDirectory) {
+        add(meta.sourcePath, { reference, date, size: meta.size, mtime: meta.sourceMtime });
+        continue;
+      }
+      // A selection's files are relative to the directory it was made in
+      if (!meta.selection) add(meta.sourcePath, { reference, date, files: meta.files || [] });
+      for (const file of meta.files || []) {
+        add(path.join(meta.sourcePath, file.path), { reference, date, size: file.size, mtime: file.mtime, within: meta.name });
+      }
+    }
+  }
+  return db.byPath;
+}
+
+function updateUploadsByReference(reference, patch, dbPath = activeNode.dbPath) {
+  if (findUploadsByReference(reference, dbPath).length === 0) return;
+  const db = openUploadsDb(dbPath);
+  for (const [tagUid, meta] of Object.entries(db.uploads)) {
+    if (meta.reference === reference) changeUploadsDb(db, { tagUid, meta: patch });
+  }
+  writeUploadsDb(db, dbPath);
+}
+
+// Upload history
+//
+// The uploads DB outlives the node's tags, which are lost when they are
+// deleted or the node is reset. The history is built from the DB, with sizes
+// and failures filled in from upload.log; completed uploads that are only in
+// the log (the DB was removed) are listed as well. Live tags are merged in
+// where they still exist.
+
+// Tag uids start over when a node is reset, so a tag only belongs to an
+// upload that was started around the same time
+const TAG_MATCH_WINDOW = 5 * 60 * 1000;
+
+function isTagOfUpload(tag, meta) {
+  if (!tag.startedAt || !meta?.date) return true;
+  return Math.abs(Date.parse(tag.startedAt) - Date.parse(meta.date)) < TAG_MATCH_WINDOW;
+}
+
+// Remembers when an upload was seen fully synced, so the outcome is still
+// known once its tag is gone
+function recordSyncedUploads(tags, db, dbPath = activeNode.dbPath) {
+  const changes = {};
+  const syncedAt = new Date().toISOString();
+  for (const tag of tags) {
+    const meta = db[tag.uid];
+    if (meta?.reference && !meta.syncedAt && isTagSynced(tag) && isTagOfUpload(tag, meta)) {
+      changes[tag.uid] = { syncedAt };
+    }
+  }
+  if (Object.keys(changes).length) saveUploadsMeta(changes, dbPath);
+}
+
+// Parsed START/COMPLETE/ERROR lines of file and directory uploads. The log
+// only grows, so each read parses just the lines appended since the last one.
+const newUploadLogState = () => ({ offset: 0, started: new Map(), completed: [], failed: [] });
+let uploadLogState = newUploadLogState();
+
+function readUploadLog() {
+  let size;
+  try {
+    size = fs.statSync(uploadLogPath).size;
+  } catch {
+    uploadLogState = newUploadLogState();
+    return { completed: [], failed: [] };
+  }
+  // Truncated or replaced
+  if (size < uploadLogState.offset) uploadLogState = newUploadLogState();
+  
+  const state = uploadLogState;
+  if (size > state.offset) {
+    const buffer = Buffer.alloc(size - state.offset);
+    try {
+      const fd = fs.openSync(uploadLogPath, 'r');
+      try {
+        fs.readSync(fd, buffer, 0, buffer.length, state.offset);
+      } finally {
+        fs.closeSync(fd);
+      }
+    } catch {
+      return { completed: state.completed, failed: state.failed };
+    }
+    // A line still being written is left for the next read
+    const end = buffer.lastIndexOf(0x0a) + 1;
+    state.offset += end;
+    for (const line of buffer.subarray(0, end).toString('utf8').split('\n')) {
+      parseUploadLogLine(line, state);
+    }
+  }
+  return { completed: state.completed, failed: state.failed };
+}
+
+function parseUploadLogLine(line, { started, completed, failed }) {
+  const match = /^\[([^\]]+)\] (START|COMPLETE|ERROR) (file|dir)="([^"]*)"(.*)$/.exec(line);
+  if (!match) return;
+  const [, date, event, kind, name, rest] = match;
+  const key = `${kind}:${name}`;
+  if (event === 'START') {
+    started.set(key, { date, size: Number(/ size=(\d+)/.exec(rest)?.[1]) });
+    return;
+  }
+  const start = started.get(key);
+  started.delete(key);
+  const entry = { name: kind === 'dir' ? `${name}/` : name, isDirectory: kind === 'dir', date: start?.date || date, size: start?.size };
+  if (event === 'ERROR') {
+    failed.push({ ...entry, date, error: /error="(.*)"$/.exec(rest)?.[1] || '' });
+  } else {
+    completed.push({
+      ...entry,
+      reference: / reference=([0-9a-f]+(\+key)?)/.exec(rest)?.[1],
+      tagUid: Number(/ tag=(\d+)/.exec(rest)?.[1]),
+      node: / node="([^"]*)"/.exec(rest)?.[1],
+    });
+  }
+}
+
+// One entry per upload: { key, tagUid, meta, tag, size, logged, failed }; key
+// is the one in the uploads DB, tag the live tag (or null) and logged marks
+// uploads known only from the log
+function buildUploadHistory(db, tags, node = activeNode) {
+  const log = readUploadLog();
+  const tagsByUid = new Map(tags.map(tag => [tag.uid, tag]));
+  const loggedByKey = new Map(log.completed.map(entry => [`${entry.tagUid}:${entry.reference}`, entry]));
+  const known = new Set();
+  
+  const history = Object.entries(db).map(([key, meta]) => {
+    const tagUid = parseInt(key, 10);
+    const logKey = `${tagUid}:${formatLogReference(meta.reference)}`;
+    known.add(logKey);
+    // Records kept from before a node reset (see startUploadMeta) have no live tag
+    const tag = key === String(tagUid) ? tagsByUid.get(tagUid) : null;
+    const filesSize = meta.files?.reduce((sum, file) => sum + file.size, 0);
+    return {
+      key,
+      tagUid,
+      meta,
+      tag: tag && isTagOfUpload(tag, meta) ? tag : null,
+      size: meta.size ?? filesSize ?? loggedByKey.get(logKey)?.size ?? null,
+      logged: false,
+      // The log has no tag for failures, so they are matched by name and time
+      failed: !meta.reference && log.failed.some(entry => entry.name === meta.name && entry.date >= meta.date),
+    };
+  });
+  
+  for (const [logKey, entry] of loggedByKey) {
+    if (known.has(logKey) || (entry.node && entry.node !== node.name)) continue;
+    history.push({
+      key: null,
+      tagUid: null,
+      meta: { name: entry.name, reference: entry.reference, date: entry.date, isDirectory: entry.isDirectory },
+      tag: null,
+      size: entry.size ?? null,
+      logged: true,
+      failed: false,
+    });
+  }
+  return history;
 }
 
-function getUploadMeta(tagUid) {
-  const db = loadUploadsDb();
-  return db[tagUid] || null;
+// Command line flags
+function parseCliArgs(argv) {
+  try {
+    return parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        'node': { type: 'string' },
+        'api-url': { type: 'string' },
+        'api-token': { type: 'string' },
+        'header': { type: 'string', multiple: true },
+        'insecure': { type: 'boolean' },
+        'ca': { type: 'string' },
+        // Headless commands
+        'batch': { type: 'string' },
+        'index': { type: 'string' },
+        'error': { type: 'string' },
+        'type': { type: 'string' },
+        'redundancy': { type: 'string' },
+        'direct': { type: 'boolean' },
+        'feed': { type: 'string' },
+        'pin': { type: 'boolean' },
+        'encrypt': { type: 'boolean' },
+        'wait-sync': { type: 'boolean' },
+        'timeout': { type: 'string' },
+        'json': { type: 'boolean' },
+        'help': { type: 'boolean', short: 'h' },
+      },
+    });
+  } catch (err) {
+    console.error(`swarm-commander: ${err.message}`);
+    process.exit(2);
+  }
 }
 
+const { values: cliArgs, positionals: cliPositionals } = parseCliArgs(process.argv.slice(2));
+
 // State
 const config = loadConfig();
 let currentDir = process.cwd();
-let batchId = process.env.SWARM_BATCH_ID || config.batchId || '';
 let selectedUploadDetail = null;
 
-// HTTP helper
-function httpRequest(options, body = null) {
+// Bee API endpoint
+const DEFAULT_API_URL = 'http://127.0.0.1:1633';
+
+// Accepts either an object ({ "x-foo": "bar" }), a JSON string of one,
+// or "Name: value" lines/strings (as given via --header or SWARM_API_HEADERS)
+function parseHeaders(input) {
+  if (!input) return {};
+  if (Array.isArray(input)) {
+    return input.reduce((acc, item) => ({ ...acc, ...parseHeaders(item) }), {});
+  }
+  if (typeof input === 'object') return { ...input };
+  
+  const text = String(input).trim();
+  if (text.startsWith('{')) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      return {};
+    }
+  }
+  
+  const headers = {};
+  for (const line of text.split(/[\n;]/)) {
+    const idx = line.indexOf(':');
+    if (idx > 0) {
+      headers[line.slice(0, idx).trim()] = line.slice(idx + 1).trim();
+    }
+  }
+  return headers;
+}
+
+function isTruthy(value) {
+  return ['1', 'true', 'yes', 'on'].includes(String(value).toLowerCase());
+}
+
+// Settings given via CLI flags / environment. They take precedence over the
+// profile that was selected at startup, but not over profiles switched to later.
+function getStartupOverrides() {
+  const env = process.env;
+  const overrides = {
+    url: cliArgs['api-url'] || env.SWARM_API_URL || env.BEE_API_URL,
+    token: cliArgs['api-token'] || env.SWARM_API_TOKEN,
+    headers: { ...parseHeaders(env.SWARM_API_HEADERS), ...parseHeaders(cliArgs.header) },
+    ca: cliArgs.ca || env.SWARM_API_CA,
+    batchId: cliArgs.batch || env.SWARM_BATCH_ID,
+  };
+  if (env.SWARM_API_INSECURE !== undefined) overrides.insecure = isTruthy(env.SWARM_API_INSECURE);
+  if (cliArgs.insecure) overrides.insecure = true;
+  return overrides;
+}
+
+// Precedence: overrides (CLI flags > environment) > node profile > default
+function resolveApiConfig(profile = {}, overrides = {}) {
+  const rawUrl = overrides.url || profile.url || DEFAULT_API_URL;
+  let url;
+  try {
+    url = new URL(rawUrl.includes('://') ? rawUrl : `http://${rawUrl}`);
+  } catch {
+    throw new Error(`Invalid Bee API URL: ${rawUrl}`);
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error(`Unsupported Bee API protocol: ${url.protocol}`);
+  }
+  
+  const headers = {
+    ...parseHeaders(profile.headers),
+    ...parseHeaders(overrides.headers),
+  };
+  
+  const token = overrides.token || profile.token || '';
+  if (token) {
+    headers['Authorization'] = `Bearer ${token}`;
+  }
+  
+  const insecure = overrides.insecure ?? Boolean(profile.insecure);
+  
+  const caPath = overrides.ca || profile.ca || null;
+  let ca;
+  if (caPath) {
+    try {
+      ca = fs.readFileSync(caPath);
+    } catch (err) {
+      throw new Error(`Cannot read CA file ${caPath}: ${err.message}`);
+    }
+  }
+  
+  return {
+    url,
+    secure: url.protocol === 'https:',
+    hostname: url.hostname.replace(/^\[|\]$/g, ''),
+    port: url.port ? Number(url.port) : (url.protocol === 'https:' ? 443 : 80),
+    basePath: url.pathname.replace(/\/+$/, ''),
+    headers,
+    insecure,
+    ca,
+  };
+}
+
+const startupNodeName = cliArgs.node || process.env.SWARM_NODE || config.activeNode;
+if (!config.nodes[startupNodeName]) {
+  console.error(`swarm-commander: unknown node profile "${startupNodeName}" (known: ${Object.keys(config.nodes).join(', ')})`);
+  process.exit(2);
+}
+const startupOverrides = getStartupOverrides();
+
+// Everything that depends on which Bee node we talk to. In-flight uploads keep
+// a reference to the context they started with, so switching nodes is safe.
+function createNodeContext(name) {
+  const profile = config.nodes[name];
+  const overrides = name === startupNodeName ? startupOverrides : {};
+  return {
+    name,
+    api: resolveApiConfig(profile, overrides),
+    dbPath: uploadsDbPathFor(name),
+    batchId: overrides.batchId || profile.batchId || '',
+  };
+}
+
+let activeNode;
+try {
+  activeNode = createNodeContext(startupNodeName);
+} catch (err) {
+  console.error(`swarm-commander: ${err.message}`);
+  process.exit(2);
+}
+let batchId = activeNode.batchId;
+
+// Human readable endpoint (never includes credentials)
+function describeEndpoint(node = activeNode) {
+  const { url, basePath } = node.api;
+  return `${url.protocol}//${url.host}${basePath}`;
+}
+
+// HTTP helper - body may be a Buffer/string or a readable stream, in which case
+// onProgress(bytesSent) is called as it is piped into the request. Responses
+// are parsed as JSON, returned as a Buffer (raw) or, for downloads, piped into
+// a writable `sink` with onProgress(bytesReceived, contentLength).
+function httpRequest(options, body = null, onProgress = null, { raw = false, sink = null } = {}) {
   return new Promise((resolve, reject) => {
-    const req = http.request(options, (res) => {
-      let data = '';
-      res.on('data', chunk => data += chunk);
+    const transport = options.protocol === 'https:' ? https : http;
+    const isStream = body && typeof body.pipe === 'function';
+    const req = transport.request(options, (res) => {
+      res.on('error', (err) => {
+        if (sink) sink.destroy();
+        reject(err);
+      });
+      
+      if (sink && res.statusCode >= 200 && res.statusCode < 300) {
+        const length = Number(res.headers['content-length']) || 0;
+        let received = 0;
+        res.on('data', (chunk) => {
+          received += chunk.length;
+          if (onProgress) onProgress(received, length);
+        });
+        sink.on('error', (err) => {
+          res.destroy(err);
+          reject(err);
+        });
+        sink.on('finish', () => resolve({ headers: res.headers, size: received }));
+        res.pipe(sink);
+        return;
+      }
+      
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
       res.on('end', () => {
+        // Node answered before the whole body was sent (e.g. an error)
+        if (isStream && !body.readableEnded) body.destroy();
+        const data = Buffer.concat(chunks);
         if (res.statusCode >= 200 && res.statusCode < 300) {
+          if (raw) {
+            resolve(data);
+            return;
+          }
           try {
-            resolve(JSON.parse(data));
+            resolve(JSON.parse(data.toString()));
           } catch {
-            resolve({ raw: data.trim() });
+            resolve({ raw: data.toString().trim() });
           }
         } else {
-          reject(new Error(`HTTP ${res.statusCode}: ${data}`));
+          if (sink) sink.destroy();
+          reject(new Error(`HTTP ${res.statusCode}: ${data.toString()}`));
         }
       });
     });
-    req.on('error', reject);
-    if (body) req.write(body);
-    req.end();
+    req.on('error', (err) => {
+      if (isStream) body.destroy();
+      if (sink) sink.destroy();
+      reject(err);
+    });
+    
+    if (isStream) {
+      let sent = 0;
+      body.on('data', (chunk) => {
+        sent += chunk.length;
+        if (onProgress) onProgress(sent);
+      });
+      body.on('error', (err) => {
+        req.destroy(err);
+        reject(err);
+      });
+      body.pipe(req);
+    } else {
+      if (body) req.write(body);
+      req.end();
+    }
   });
 }
 
-async function createTag() {
-  const result = await httpRequest({
-    hostname: '127.0.0.1',
-    port: 1633,
-    path: '/tags',
-    method: 'POST',
+// Bee API client - every request to the node goes through here
+function apiRequest(method, apiPath, { headers = {}, body = null, onProgress = null, raw = false, sink = null, signal, node = activeNode } = {}) {
+  const apiConfig = node.api;
+  const options = {
+    protocol: apiConfig.url.protocol,
+    hostname: apiConfig.hostname,
+    port: apiConfig.port,
+    path: apiConfig.basePath + apiPath,
+    method,
+    headers: { ...apiConfig.headers, ...headers },
+    signal,
+  };
+  if (apiConfig.secure) {
+    options.rejectUnauthorized = !apiConfig.insecure;
+    if (apiConfig.ca) options.ca = apiConfig.ca;
+  }
+  return httpRequest(options, body, onProgress, { raw, sink });
+}
+
+async function createTag(node = activeNode) {
+  const result = await apiRequest('POST', '/tags', {
     headers: { 'Content-Type': 'application/json' },
+    node,
   });
   return result.uid;
 }
 
-function collectDirectoryFiles(dirPath, basePath = '') {
+// Ignore rules
+//
+// Directory uploads skip whatever .swarmignore files (gitignore syntax) exclude,
+// in the upload root and in any subdirectory. .gitignore files are honoured too
+// when "ignore.gitignore" is enabled in config.json. A few defaults (.git, the
+// ignore files themselves) always apply and can be changed via "ignore.defaults".
+const DEFAULT_IGNORE_PATTERNS = ['.git/', '.swarmignore'];
+
+function getIgnoreSettings() {
+  return {
+    gitignore: false,
+    defaults: DEFAULT_IGNORE_PATTERNS,
+    ...(config.ignore || {}),
+  };
+}
+
+// Translates one gitignore pattern line into { regex, negate, dirOnly }
+function compileIgnorePattern(line) {
+  let pattern = line.replace(/(?<!\\)\s+$/, '');
+  if (!pattern || pattern.startsWith('#')) return null;
+  
+  const negate = pattern.startsWith('!');
+  if (negate) pattern = pattern.slice(1);
+  if (pattern.startsWith('\\#') || pattern.startsWith('\\!')) pattern = pattern.slice(1);
+  
+  const dirOnly = pattern.endsWith('/');
+  if (dirOnly) pattern = pattern.replace(/\/+$/, '');
+  // A slash anywhere but at the end anchors the pattern to the ignore file's directory
+  const anchored = pattern.includes('/');
+  pattern = pattern.replace(/^\//, '');
+  if (!pattern) return null;
+  
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '*' && pattern[i + 1] === '*') {
+      const atStart = i === 0 || pattern[i - 1] === '/';
+      if (atStart && pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (ch === '*') {
+      source += '[^/]*';
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else if (ch === '[') {
+      const end = pattern.indexOf(']', i + 1);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        let set = pattern.slice(i + 1, end).replace(/\\/g, '\\\\');
+        if (set.startsWith('!')) set = '^' + set.slice(1);
+        source += `[${set}]`;
+        i = end;
+      }
+    } else if (ch === '\\' && i + 1 < pattern.length) {
+      source += pattern[++i].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    } else {
+      source += ch.replace(/[.+^${}()|\]\\]/g, '\\$&');
+    }
+  }
+  
+  const regex = new RegExp(anchored ? `^${source}$` : `^(?:.*/)?${source}$`);
+  return { regex, negate, dirOnly };
+}
+
+function compileIgnoreRules(lines, base = '') {
+  const rules = lines.map(compileIgnorePattern).filter(Boolean);
+  return rules.length ? { base, rules } : null;
+}
+
+// Rule set from the ignore files found in one directory; base is that
+// directory's path relative to the upload root
+function readIgnoreFiles(dirPath, base) {
+  const names = getIgnoreSettings().gitignore ? ['.gitignore', '.swarmignore'] : ['.swarmignore'];
+  const lines = [];
+  for (const name of names) {
+    try {
+      lines.push(...fs.readFileSync(path.join(dirPath, name), 'utf8').split(/\r?\n/));
+    } catch {}
+  }
+  return compileIgnoreRules(lines, base);
+}
+
+// Later rule sets (deeper directories) and later rules win, like git
+function isIgnored(ruleSets, relativePath, isDir) {
+  const posixPath = relativePath.split(path.sep).join('/');
+  let ignored = false;
+  for (const { base, rules } of ruleSets) {
+    if (base && !posixPath.startsWith(base + '/')) continue;
+    const localPath = base ? posixPath.slice(base.length + 1) : posixPath;
+    for (const rule of rules) {
+      if (rule.dirOnly && !isDir) continue;
+      if (rule.regex.test(localPath)) ignored = !rule.negate;
+    }
+  }
+  return ignored;
+}
+
+function getRootIgnoreRules() {
+  const defaults = compileIgnoreRules(getIgnoreSettings().defaults || []);
+  return defaults ? [defaults] : [];
+}
+
+// Counts files (and their size) below an excluded directory
+function addExcluded(excluded, fullPath, isDir, size = 0) {
+  if (!isDir) {
+    excluded.count++;
+    excluded.size += size;
+    return;
+  }
+  try {
+    for (const entry of fs.readdirSync(fullPath, { withFileTypes: true })) {
+      const childPath = path.join(fullPath, entry.name);
+      if (entry.isDirectory()) {
+        addExcluded(excluded, childPath, true);
+      } else if (entry.isFile()) {
+        try {
+          addExcluded(excluded, childPath, false, fs.statSync(childPath).size);
+        } catch {}
+      }
+    }
+  } catch {}
+}
+
+// Files below dirPath that survive the ignore rules. Pass an
+// { count, size } object as `excluded` to have skipped files tallied.
+function collectDirectoryFiles(dirPath, basePath = '', excluded = null, ruleSets = getRootIgnoreRules()) {
   const files = [];
   const entries = fs.readdirSync(dirPath, { withFileTypes: true });
+  const localRules = readIgnoreFiles(dirPath, basePath.split(path.sep).join('/'));
+  const rules = localRules ? [...ruleSets, localRules] : ruleSets;
   
   for (const entry of entries) {
     const fullPath = path.join(dirPath, entry.name);
     const relativePath = basePath ? path.join(basePath, entry.name) : entry.name;
     
     if (entry.isDirectory()) {
-      files.push(...collectDirectoryFiles(fullPath, relativePath));
+      if (isIgnored(rules, relativePath, true)) {
+        if (excluded) addExcluded(excluded, fullPath, true);
+        continue;
+      }
+      files.push(...collectDirectoryFiles(fullPath, relativePath, excluded, rules));
     } else if (entry.isFile()) {
       try {
         const stat = fs.statSync(fullPath);
+        if (isIgnored(rules, relativePath, false)) {
+          if (excluded) addExcluded(excluded, fullPath, false, stat.size);
+          continue;
+        }
         files.push({
           path: relativePath,
           fullPath: fullPath,
           size: stat.size,
+          mtime: stat.mtimeMs,
         });
       } catch {}
     }
@@ -155,561 +891,4367 @@ function collectDirectoryFiles(dirPath, basePath = '') {
 }
 
 function getDirectoryStats(dirPath) {
-  const files = collectDirectoryFiles(dirPath);
+  const excluded = { count: 0, size: 0 };
+  const files = collectDirectoryFiles(dirPath, '', excluded);
   const totalSize = files.reduce((sum, f) => sum + f.size, 0);
-  return { files, totalSize, fileCount: files.length };
+  return { files, totalSize, fileCount: files.length, excludedCount: excluded.count, excludedSize: excluded.size };
 }
 
-function createTarArchive(dirPath) {
-  const tempTar = path.join(stateDir, `upload-${Date.now()}.tar`);
-  
+// MIME types
+//
+// A file's content type comes from its extension; files with an unknown or no
+// extension are identified by their first bytes. Text without a known
+// signature is text/plain if it decodes as UTF-8.
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.json': 'application/json',
+  '.txt': 'text/plain; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+  '.csv': 'text/csv; charset=utf-8',
+  '.xml': 'application/xml',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.mp3': 'audio/mpeg',
+  '.ogg': 'audio/ogg',
+  '.wav': 'audio/wav',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.pdf': 'application/pdf',
+  '.zip': 'application/zip',
+  '.gz': 'application/gzip',
+  '.tgz': 'application/gzip',
+  '.wasm': 'application/wasm',
+};
+const DEFAULT_CONTENT_TYPE = 'application/octet-stream';
+
+// Signatures as { offset: bytes } (latin1), checked in order
+const MAGIC_NUMBERS = [
+  [{ 0: '\x89PNG\r\n\x1a\n' }, 'image/png'],
+  [{ 0: '\xff\xd8\xff' }, 'image/jpeg'],
+  [{ 0: 'GIF87a' }, 'image/gif'],
+  [{ 0: 'GIF89a' }, 'image/gif'],
+  [{ 0: 'RIFF', 8: 'WEBP' }, 'image/webp'],
+  [{ 4: 'ftypavif' }, 'image/avif'],
+  [{ 0: '\x00\x00\x01\x00' }, 'image/x-icon'],
+  [{ 0: '%PDF-' }, 'application/pdf'],
+  [{ 0: 'PK\x03\x04' }, 'application/zip'],
+  [{ 0: '\x1f\x8b' }, 'application/gzip'],
+  [{ 0: '\x00asm' }, 'application/wasm'],
+  [{ 0: 'wOFF' }, 'font/woff'],
+  [{ 0: 'wOF2' }, 'font/woff2'],
+  [{ 0: 'ID3' }, 'audio/mpeg'],
+  [{ 0: 'OggS' }, 'audio/ogg'],
+  [{ 0: 'RIFF', 8: 'WAVE' }, 'audio/wav'],
+  [{ 4: 'ftyp' }, 'video/mp4'],
+  [{ 0: '\x1a\x45\xdf\xa3' }, 'video/webm'],
+];
+const SNIFF_LENGTH = 512;
+
+function sniffContentType(head) {
+  for (const [signature, type] of MAGIC_NUMBERS) {
+    const matches = Object.entries(signature).every(([offset, bytes]) =>
+      head.toString('latin1', Number(offset), Number(offset) + bytes.length) === bytes
+    );
+    if (matches) return type;
+  }
+  if (head.length === 0 || head.includes(0)) return DEFAULT_CONTENT_TYPE;
+  let text;
   try {
-    // Use "." to put contents at root (not wrapped in directory name)
-    // This ensures index.html is at root for swarm-index-document to work
-    execSync(`tar -cf "${tempTar}" -C "${dirPath}" .`, {
-      stdio: 'pipe',
-    });
-    return tempTar;
-  } catch (err) {
-    throw new Error(`Failed to create tar archive: ${err.message}`);
+    // stream: a character cut off at the end of the head is not an error
+    text = new TextDecoder('utf-8', { fatal: true }).decode(head, { stream: true });
+  } catch {
+    return DEFAULT_CONTENT_TYPE;
   }
+  const start = text.replace(/^\ufeff/, '').trimStart().slice(0, 100).toLowerCase();
+  if (start.startsWith('<!doctype html') || start.startsWith('<html')) return CONTENT_TYPES['.html'];
+  if (start.startsWith('<svg') || (start.startsWith('<?xml') && text.includes('<svg'))) return CONTENT_TYPES['.svg'];
+  if (start.startsWith('<?xml')) return CONTENT_TYPES['.xml'];
+  return CONTENT_TYPES['.txt'];
 }
 
-async function getTagStatus(tagUid) {
-  return await httpRequest({
-    hostname: '127.0.0.1',
-    port: 1633,
-    path: `/tags/${tagUid}`,
-    method: 'GET',
-  });
+// "12 text/html, 3 image/png, +2 more" for the files of a directory upload,
+// cut to fit `width`
+function formatContentTypeSummary(files, width) {
+  const counts = new Map();
+  for (const file of files) {
+    const type = resolveContentType(file.fullPath).split(';')[0];
+    counts.set(type, (counts.get(type) || 0) + 1);
+  }
+  const parts = [...counts].sort((a, b) => b[1] - a[1]).map(([type, count]) => `${count} ${type}`);
+  let shown = parts.length;
+  const join = (n) => parts.slice(0, n).join(', ') + (n < parts.length ? `, +${parts.length - n} more` : '');
+  while (shown > 1 && join(shown).length > width) shown--;
+  return join(shown);
 }
 
-async function getAllTags() {
-  const allTags = [];
-  let offset = 0;
-  const limit = 1000;
-  
-  while (true) {
-    const result = await httpRequest({
-      hostname: '127.0.0.1',
-      port: 1633,
-      path: `/tags?limit=${limit}&offset=${offset}`,
-      method: 'GET',
-    });
-    
-    const tags = result.tags || [];
-    allTags.push(...tags);
-    
-    if (tags.length < limit) {
-      break; // No more tags
-    }
-    offset += limit;
+function resolveContentType(filePath) {
+  const byExtension = CONTENT_TYPES[path.extname(filePath).toLowerCase()];
+  if (byExtension) return byExtension;
+  let fd;
+  try {
+    fd = fs.openSync(filePath, 'r');
+    const head = Buffer.alloc(SNIFF_LENGTH);
+    return sniffContentType(head.subarray(0, fs.readSync(fd, head, 0, SNIFF_LENGTH, 0)));
+  } catch {
+    return DEFAULT_CONTENT_TYPE;
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
   }
-  
-  return allTags;
 }
 
-// Create screen
-const screen = blessed.screen({
-  smartCSR: true,
-  title: 'Swarm Commander',
-  fullUnicode: true,
-});
+function isValidContentType(type) {
+  return /^[\w.+-]+\/[\w.+-]+(\s*;\s*[\w.+-]+=[\w.+"-]+)*$/.test(type);
+}
 
-// Color scheme - Midnight Commander inspired
-const colors = {
-  bg: 'black',
-  fg: 'white',
-  border: 'cyan',
-  selected: 'blue',
-  header: 'yellow',
-  directory: 'white',
-  file: 'gray',
-  uploaded: 'green',
-  error: 'red',
-};
+// Erasure coding levels of swarm-redundancy-level, by number
+const REDUNDANCY_LEVELS = ['none', 'medium', 'strong', 'insane', 'paranoid'];
 
-// Header
-const header = blessed.box({
-  parent: screen,
-  top: 0,
-  left: 0,
-  width: '100%',
+// Accepts a level number or name
+function parseRedundancyLevel(value) {
+  const level = /^\d$/.test(value) ? Number(value) : REDUNDANCY_LEVELS.indexOf(String(value).toLowerCase());
+  return level >= 0 && level < REDUNDANCY_LEVELS.length ? level : null;
+}
+
+// Log suffix for the options that differ from the defaults
+function formatUploadOptions({ pin, encrypt, redundancyLevel, deferred }) {
+  return (pin ? ' pin=true' : '') +
+    (encrypt ? ' encrypt=true' : '') +
+    (redundancyLevel ? ` redundancy=${REDUNDANCY_LEVELS[redundancyLevel]}` : '') +
+    (deferred ? '' : ' deferred=false');
+}
+
+// Tar writer
+//
+// Directories are packed in-process into a ustar stream that is piped straight
+// into the upload request - no tar binary, no shell, no temp file. Entries are
+// sorted and carry fixed metadata (mtime 0, uid/gid 0, mode 644), so the same
+// directory always produces the same bytes and therefore the same manifest hash.
+// Paths that do not fit the 100 byte name field and files of 8 GiB or more get
+// a PAX extended header.
+
+const TAR_BLOCK = 512;
+const TAR_MAX_OCTAL_SIZE = 0o77777777777;
+
+function tarPath(relativePath) {
+  return relativePath.split(path.sep).join('/');
+}
+
+function sortTarEntries(files) {
+  return [...files].sort((a, b) => {
+    const pa = tarPath(a.path);
+    const pb = tarPath(b.path);
+    return pa < pb ? -1 : pa > pb ? 1 : 0;
+  });
+}
+
+function writeTarString(block, value, offset, length) {
+  Buffer.from(value, 'utf8').copy(block, offset, 0, length);
+}
+
+function writeTarOctal(block, value, offset, length) {
+  // length - 1 octal digits followed by NUL
+  writeTarString(block, value.toString(8).padStart(length - 1, '0'), offset, length - 1);
+}
+
+function createTarHeader(name, size, typeflag = '0') {
+  const block = Buffer.alloc(TAR_BLOCK);
+  writeTarString(block, name, 0, 100);
+  writeTarOctal(block, 0o644, 100, 8);
+  writeTarOctal(block, 0, 108, 8);
+  writeTarOctal(block, 0, 116, 8);
+  writeTarOctal(block, Math.min(size, TAR_MAX_OCTAL_SIZE), 124, 12);
+  writeTarOctal(block, 0, 136, 12);
+  block.fill(' ', 148, 156);
+  block.write(typeflag, 156, 'ascii');
+  block.write('ustar\0', 257, 'ascii');
+  block.write('00', 263, 'ascii');
+  
+  let checksum = 0;
+  for (const byte of block) checksum += byte;
+  writeTarString(block, checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8);
+  return block;
+}
+
+// PAX record: "<length> <key>=<value>\n" where length counts the whole record
+function createPaxRecord(key, value) {
+  const body = ` ${key}=${value}\n`;
+  let length = Buffer.byteLength(body) + 1;
+  while (String(length).length + Buffer.byteLength(body) !== length) {
+    length = String(length).length + Buffer.byteLength(body);
+  }
+  return Buffer.from(`${length}${body}`, 'utf8');
+}
+
+function tarPadding(size) {
+  const remainder = size % TAR_BLOCK;
+  return remainder === 0 ? 0 : TAR_BLOCK - remainder;
+}
+
+// Header block(s) for one entry, including a PAX header when needed
+function createTarEntryHeader(name, size) {
+  const records = [];
+  if (Buffer.byteLength(name) > 100 || /[^\x20-\x7e]/.test(name)) {
+    records.push(createPaxRecord('path', name));
+  }
+  if (size > TAR_MAX_OCTAL_SIZE) {
+    records.push(createPaxRecord('size', String(size)));
+  }
+  
+  const header = createTarHeader(name, size);
+  if (records.length === 0) return header;
+  
+  const pax = Buffer.concat(records);
+  const paxName = `PaxHeader/${Buffer.from(name).subarray(0, 80).toString('utf8').replace(/\uFFFD$/, '')}`;
+  return Buffer.concat([
+    createTarHeader(paxName, pax.length, 'x'),
+    pax,
+    Buffer.alloc(tarPadding(pax.length)),
+    header,
+  ]);
+}
+
+// Exact byte size of the archive createTarStream() produces for these files
+function getTarSize(files) {
+  let size = 2 * TAR_BLOCK;
+  for (const f of files) {
+    size += createTarEntryHeader(tarPath(f.path), f.size).length;
+    size += f.size + tarPadding(f.size);
+  }
+  return size;
+}
+
+async function* generateTar(files) {
+  for (const file of sortTarEntries(files)) {
+    yield createTarEntryHeader(tarPath(file.path), file.size);
+    
+    // Stream exactly the announced number of bytes, even if the file
+    // changed since it was listed
+    let written = 0;
+    if (file.size > 0) {
+      const input = fs.createReadStream(file.fullPath, { end: file.size - 1 });
+      for await (const chunk of input) {
+        written += chunk.length;
+        yield chunk;
+      }
+    }
+    if (written < file.size) {
+      throw new Error(`File changed while uploading: ${file.path}`);
+    }
+    
+    const padding = tarPadding(file.size);
+    if (padding) yield Buffer.alloc(padding);
+  }
+  yield Buffer.alloc(2 * TAR_BLOCK);
+}
+
+function createTarStream(files) {
+  return Readable.from(generateTar(files), { objectMode: false });
+}
+
+async function getTagStatus(tagUid, node = activeNode) {
+  return await apiRequest('GET', `/tags/${tagUid}`, { node });
+}
+
+async function getAllTags(node = activeNode) {
+  const allTags = [];
+  let offset = 0;
+  const limit = 1000;
+  
+  while (true) {
+    const result = await apiRequest('GET', `/tags?limit=${limit}&offset=${offset}`, { node });
+    
+    const tags = result.tags || [];
+    allTags.push(...tags);
+    
+    if (tags.length < limit) {
+      break; // No more tags
+    }
+    offset += limit;
+  }
+  
+  return allTags;
+}
+
+async function getStamps(node = activeNode) {
+  const result = await apiRequest('GET', '/stamps', { node });
+  return result.stamps || [];
+}
+
+async function getStamp(id, node = activeNode) {
+  return await apiRequest('GET', `/stamps/${id}`, { node });
+}
+
+function isValidBatchId(id) {
+  return /^[0-9a-f]{64}$/i.test(id || '');
+}
+
+// Fill level of the batch's fullest bucket in percent - uploads fail once any bucket is full
+function getBatchUsage(stamp) {
+  const bucketDepth = stamp.bucketDepth ?? 16;
+  const capacity = Math.pow(2, stamp.depth - bucketDepth);
+  return capacity > 0 ? Math.min(100, (stamp.utilization / capacity) * 100) : 0;
+}
+
+// Throws with a user-facing message unless the batch can be used for an upload right now
+async function checkBatchUsable(id, node = activeNode) {
+  if (!isValidBatchId(id)) {
+    throw new Error('Batch ID must be 64 hex characters. Press F2 to pick one.');
+  }
+  let stamp;
+  try {
+    stamp = await getStamp(id, node);
+  } catch (err) {
+    if (/^HTTP 404/.test(err.message)) {
+      throw new Error(`Batch ${id.slice(0, 12)}... not found on node "${node.name}"`);
+    }
+    throw new Error(`Cannot verify batch: ${err.message}`);
+  }
+  if (stamp.exists === false) {
+    throw new Error(`Batch ${id.slice(0, 12)}... has expired`);
+  }
+  if (!stamp.usable) {
+    throw new Error(`Batch ${id.slice(0, 12)}... is not usable yet (waiting for confirmations)`);
+  }
+  if (getBatchUsage(stamp) >= 100) {
+    throw new Error(`Batch ${id.slice(0, 12)}... is full`);
+  }
+  return stamp;
+}
+
+// Postage batch economics: amounts are PLUR per chunk, 1 BZZ = 1e16 PLUR,
+// and the price is charged per chunk per block (5s blocks on Gnosis chain)
+const PLUR_PER_BZZ = 10n ** 16n;
+const BLOCK_TIME_SECONDS = 5;
+const CHUNK_SIZE = 4096;
+const MIN_BATCH_DEPTH = 17;
+const MAX_BATCH_DEPTH = 255;
+
+async function getChainState(node = activeNode) {
+  return await apiRequest('GET', '/chainstate', { node });
+}
+
+async function getWallet(node = activeNode) {
+  return await apiRequest('GET', '/wallet', { node });
+}
+
+async function buyBatch(amount, depth, label = '', node = activeNode) {
+  const query = label ? `?label=${encodeURIComponent(label)}` : '';
+  const result = await apiRequest('POST', `/stamps/${amount}/${depth}${query}`, { node });
+  return result.batchID;
+}
+
+async function topUpBatch(id, amount, node = activeNode) {
+  return await apiRequest('PATCH', `/stamps/topup/${id}/${amount}`, { node });
+}
+
+async function diluteBatch(id, depth, node = activeNode) {
+  return await apiRequest('PATCH', `/stamps/dilute/${id}/${depth}`, { node });
+}
+
+function getBatchCost(amount, depth) {
+  return BigInt(amount) * (2n ** BigInt(depth));
+}
+
+function estimateBatchTTL(amount, price) {
+  const pricePerBlock = BigInt(price || 0);
+  if (pricePerBlock === 0n) return -1;
+  return Number(BigInt(amount) / pricePerBlock) * BLOCK_TIME_SECONDS;
+}
+
+// Erasure coding, by redundancy level: parity chunks added to a full group of
+// 128 references, and copies of the upload's root chunk
+const REDUNDANCY_PARITIES = [0, 9, 21, 31, 90];
+const REDUNDANCY_ROOT_REPLICAS = [0, 2, 4, 8, 16];
+
+// Chunks needed to store `size` bytes: the data chunks plus every intermediate
+// level of the chunk tree. An intermediate chunk holds 128 references, or 64
+// encrypted ones (which carry their key), and with redundancy part of them
+// point to the parity chunks of the group.
+function estimateChunkCount(size, { encrypt = false, redundancyLevel = 0 } = {}) {
+  const branches = encrypt ? 64 : 128;
+  const parities = Math.round(REDUNDANCY_PARITIES[redundancyLevel] * branches / 128);
+  const shards = branches - parities;
+  let level = Math.max(1, Math.ceil(size / CHUNK_SIZE));
+  let total = level;
+  while (level > 1) {
+    level = Math.ceil(level / shards);
+    total += level * (1 + parities);
+  }
+  return total;
+}
+
+// Rough upper bound for the mantaray manifest: a node per file and per
+// directory, plus the root node and its metadata
+function estimateManifestChunks(files) {
+  const dirs = new Set();
+  for (const f of files) {
+    let dir = path.dirname(f.path);
+    while (dir && dir !== '.' && !dirs.has(dir)) {
+      dirs.add(dir);
+      dir = path.dirname(dir);
+    }
+  }
+  return files.length + dirs.size + 2;
+}
+
+// `options` are the upload's encrypt and redundancyLevel
+function estimateUploadChunks(files, options = {}) {
+  const dataChunks = files.reduce((sum, f) => sum + estimateChunkCount(f.size, options), 0);
+  return dataChunks + estimateManifestChunks(files) + REDUNDANCY_ROOT_REPLICAS[options.redundancyLevel || 0];
+}
+
+// Chunks land in buckets by address prefix, and an immutable batch refuses
+// new chunks as soon as any single bucket is full. Project the fullest bucket
+// after the upload (mean plus three standard deviations) and classify it.
+function assessBatchCapacity(stamp, chunks) {
+  const bucketDepth = stamp.bucketDepth ?? 16;
+  const buckets = Math.pow(2, bucketDepth);
+  const slotsPerBucket = Math.pow(2, stamp.depth - bucketDepth);
+  const perBucket = chunks / buckets;
+  const projected = stamp.utilization + Math.ceil(perBucket + 3 * Math.sqrt(perBucket));
+  const usageBefore = getBatchUsage(stamp);
+  const usageAfter = Math.min(100, (projected / slotsPerBucket) * 100);
+  const remainingChunks = Math.max(0, (slotsPerBucket - stamp.utilization) * buckets);
+  
+  let level = 'ok';
+  if (projected > slotsPerBucket) {
+    level = stamp.immutableFlag === false ? 'warn' : 'block';
+  } else if (usageAfter >= 80) {
+    level = 'warn';
+  }
+  
+  return { chunks, remainingChunks, usageBefore, usageAfter, level, immutable: stamp.immutableFlag !== false };
+}
+
+function formatCapacityLines(capacity) {
+  if (!capacity) {
+    return `{bold}Batch:{/bold}  {gray-fg}capacity unknown{/gray-fg}\n\n`;
+  }
+  if (capacity.error) {
+    return `{bold}Batch:{/bold}  {red-fg}${blessed.escape(capacity.error.slice(0, 45))}{/red-fg}\n\n`;
+  }
+  const color = capacity.level === 'block' ? 'red' : capacity.level === 'warn' ? 'yellow' : 'green';
+  let text =
+    `{bold}Chunks:{/bold}  ~${capacity.chunks.toLocaleString()} incl. manifest\n` +
+    `{bold}Batch:{/bold}  ${capacity.usageBefore.toFixed(0)}% used → {${color}-fg}~${capacity.usageAfter.toFixed(0)}%{/${color}-fg}` +
+    ` (${capacity.remainingChunks.toLocaleString()} chunks left)\n`;
+  if (capacity.level === 'block') {
+    text += `{red-fg}{bold}Upload would overflow this immutable batch.{/bold} Top up/dilute (F2).{/red-fg}\n`;
+  } else if (capacity.level === 'warn') {
+    text += capacity.usageAfter >= 100
+      ? `{yellow-fg}Batch will overflow: older chunks get overwritten (mutable).{/yellow-fg}\n`
+      : `{yellow-fg}Warning: batch is nearly full after this upload.{/yellow-fg}\n`;
+  }
+  return text + '\n';
+}
+
+function formatBzz(plur) {
+  const value = BigInt(plur);
+  const whole = value / PLUR_PER_BZZ;
+  const fraction = (value % PLUR_PER_BZZ).toString().padStart(16, '0').slice(0, 4);
+  return `${whole}.${fraction} BZZ`;
+}
+
+// Pins
+//
+// Pinned content stays in the node's local store for good, whatever the
+// network does with it. Uploads are pinned with the swarm-pin header; any
+// other reference can be pinned later, in which case Bee fetches its chunks.
+async function getPins(node = activeNode) {
+  const result = await apiRequest('GET', '/pins', { node });
+  return result.references || [];
+}
+
+async function isPinned(reference, node = activeNode) {
+  try {
+    await apiRequest('GET', `/pins/${reference}`, { node });
+    return true;
+  } catch (err) {
+    if (/^HTTP 404/.test(err.message)) return false;
+    throw err;
+  }
+}
+
+async function pinReference(reference, node = activeNode) {
+  await apiRequest('POST', `/pins/${reference}`, { node });
+  updateUploadsByReference(reference, { pinned: true }, node.dbPath);
+  logUpload(`PIN reference=${formatLogReference(reference)} node="${node.name}"`);
+}
+
+async function unpinReference(reference, node = activeNode) {
+  await apiRequest('DELETE', `/pins/${reference}`, { node });
+  updateUploadsByReference(reference, { pinned: false }, node.dbPath);
+  logUpload(`UNPIN reference=${formatLogReference(reference)} node="${node.name}"`);
+}
+
+// Verifies pinned content against the local store, for one reference or all
+// pins. Bee streams a { reference, total, missing, invalid } line per pin,
+// each is handed to onResult as it arrives.
+async function checkPins(reference = null, { node = activeNode, signal, onResult = () => {} } = {}) {
+  let pending = '';
+  const emit = (line) => {
+    if (!line.trim()) return;
+    try {
+      onResult(JSON.parse(line));
+    } catch {}
+  };
+  const sink = new Writable({
+    write(chunk, encoding, callback) {
+      const lines = (pending + chunk.toString()).split('\n');
+      pending = lines.pop();
+      lines.forEach(emit);
+      callback();
+    },
+    final(callback) {
+      emit(pending);
+      callback();
+    },
+  });
+  await apiRequest('GET', `/pins/check${reference ? `?ref=${reference}` : ''}`, { sink, signal, node });
+}
+
+// Stewardship
+//
+// Bee can tell whether content is still retrievable from the network (by
+// trying to fetch every chunk of it), and push all of its chunks again with a
+// new postage stamp - e.g. after the batch it was uploaded with expired.
+// Results are kept with the uploads so the detail view can show them.
+async function checkRetrievable(reference, { node = activeNode, signal } = {}) {
+  try {
+    const result = await apiRequest('GET', `/stewardship/${reference}`, { node, signal });
+    const retrievable = Boolean(result.isRetrievable);
+    updateUploadsByReference(reference, { retrievable, checkedAt: new Date().toISOString(), checkError: null }, node.dbPath);
+    logUpload(`CHECK reference=${formatLogReference(reference)} retrievable=${retrievable}`);
+    return retrievable;
+  } catch (err) {
+    if (!signal?.aborted) updateUploadsByReference(reference, { checkError: err.message }, node.dbPath);
+    logUpload(`CHECK ERROR reference=${formatLogReference(reference)} error="${err.message}"`);
+    throw err;
+  }
+}
+
+// Bee needs the content locally or on the network to re-upload it
+async function reuploadReference(reference, { node = activeNode, batchId: uploadBatchId = batchId, signal } = {}) {
+  try {
+    await checkBatchUsable(uploadBatchId, node);
+    logUpload(`REUPLOAD START reference=${formatLogReference(reference)} batch=${uploadBatchId}`);
+    await apiRequest('PUT', `/stewardship/${reference}`, {
+      headers: { 'swarm-postage-batch-id': uploadBatchId },
+      signal,
+      node,
+    });
+  } catch (err) {
+    updateUploadsByReference(reference, { reuploadError: err.message }, node.dbPath);
+    logUpload(`REUPLOAD ERROR reference=${formatLogReference(reference)} error="${err.message}"`);
+    throw err;
+  }
+  updateUploadsByReference(reference, { reuploadedAt: new Date().toISOString(), reuploadBatchId: uploadBatchId, reuploadError: null }, node.dbPath);
+  logUpload(`REUPLOAD COMPLETE reference=${formatLogReference(reference)} batch=${uploadBatchId}`);
+}
+
+// Manifest reader
+//
+// Everything uploaded through /bzz is wrapped in a mantaray manifest: a trie of
+// nodes stored as plain /bytes data, in which every fork holds a path prefix
+// and the reference of the next node. A node is laid out as
+//   obfuscation key (32) | version hash (31) | reference size (1) | entry |
+//   fork bitmap (32) | forks
+// with everything after the key XORed with it, and each fork as
+//   type (1) | prefix length (1) | prefix (30) | reference | [metadata size (2) | JSON]
+const MANTARAY_TYPE_VALUE = 2;
+const MANTARAY_TYPE_METADATA = 16;
+const MANTARAY_PREFIX_SIZE = 30;
+// Anything bigger is file content, not a manifest node
+const MANIFEST_MAX_NODE_SIZE = 1024 * 1024;
+
+function isValidReference(ref) {
+  return /^[0-9a-fA-F]{64}([0-9a-fA-F]{64})?$/.test(ref || '');
+}
+
+// Encrypted uploads have 128 hex references: chunk address plus decryption key
+function isEncryptedReference(ref) {
+  return /^[0-9a-fA-F]{128}$/.test(ref || '');
+}
+
+// The log keeps only the address part of an encrypted reference
+function formatLogReference(ref) {
+  return isEncryptedReference(ref) ? `${ref.slice(0, 64)}+key` : ref;
+}
+
+// Throws unless data is a well-formed manifest node
+function parseMantarayNode(data) {
+  const fail = () => {
+    const error = new Error('Not a manifest');
+    error.retryable = false;
+    return error;
+  };
+  if (data.length < 96) throw fail();
+  
+  const bytes = Buffer.from(data);
+  const key = bytes.subarray(0, 32);
+  if (key.some(b => b !== 0)) {
+    for (let i = 32; i < bytes.length; i++) bytes[i] ^= key[i % 32];
+  }
+  const refSize = bytes[63];
+  if (refSize !== 32 && refSize !== 64) throw fail();
+  
+  let offset = 64;
+  const entry = bytes.subarray(offset, offset + refSize);
+  offset += refSize;
+  const bitmap = bytes.subarray(offset, offset + 32);
+  offset += 32;
+  if (offset > bytes.length) throw fail();
+  
+  const forks = [];
+  for (let byte = 0; byte < 256; byte++) {
+    if (!(bitmap[byte >> 3] & (1 << (byte & 7)))) continue;
+    if (offset + 2 + MANTARAY_PREFIX_SIZE + refSize > bytes.length) throw fail();
+    const type = bytes[offset];
+    const prefixLength = bytes[offset + 1];
+    if (prefixLength === 0 || prefixLength > MANTARAY_PREFIX_SIZE || bytes[offset + 2] !== byte) throw fail();
+    const prefix = Buffer.from(bytes.subarray(offset + 2, offset + 2 + prefixLength));
+    offset += 2 + MANTARAY_PREFIX_SIZE;
+    const reference = bytes.subarray(offset, offset + refSize).toString('hex');
+    offset += refSize;
+    
+    let metadata = null;
+    if (type & MANTARAY_TYPE_METADATA) {
+      if (offset + 2 > bytes.length) throw fail();
+      const size = bytes.readUInt16BE(offset);
+      offset += 2;
+      if (offset + size > bytes.length) throw fail();
+      try {
+        metadata = JSON.parse(bytes.subarray(offset, offset + size).toString());
+      } catch {
+        throw fail();
+      }
+      offset += size;
+    }
+    forks.push({ type, prefix, reference, metadata });
+  }
+  
+  return {
+    entry: entry.some(b => b !== 0) ? entry.toString('hex') : null,
+    version: Buffer.from(bytes.subarray(32, 63)),
+    forks,
+  };
+}
+
+async function loadManifestNode(reference, { node = activeNode, signal } = {}) {
+  const data = await apiRequest('GET', `/bytes/${reference}`, { node, signal, raw: true });
+  return parseMantarayNode(data);
+}
+
+// Walks the whole trie below an already loaded root node (whose reference
+// may be given). Resolves with every file as { path, reference, metadata }, the
+// root metadata ("/" fork, holding e.g. website-index-document) and the trie
+// itself for editing (see Manifest writer). onProgress(fileCount) per node.
+async function listManifestFiles(root, { node = activeNode, signal, reference = null, onProgress = () => {} } = {}) {
+  const files = [];
+  let rootMetadata = {};
+  
+  const walk = async (manifestNode, nodeReference, prefix) => {
+    const trieNode = { reference: nodeReference, entry: manifestNode.entry, version: manifestNode.version, forks: new Map() };
+    for (const fork of manifestNode.forks) {
+      const forkPath = Buffer.concat([prefix, fork.prefix]);
+      const child = await loadManifestNode(fork.reference, { node, signal });
+      onProgress(files.length);
+      const filePath = forkPath.toString();
+      if (filePath === '/') {
+        rootMetadata = fork.metadata || {};
+      } else if ((fork.type & MANTARAY_TYPE_VALUE) && child.entry) {
+        files.push({ path: filePath, reference: child.entry, metadata: fork.metadata || {} });
+      }
+      trieNode.forks.set(fork.prefix[0], {
+        prefix: fork.prefix,
+        type: fork.type,
+        metadata: fork.metadata,
+        node: await walk(child, fork.reference, forkPath),
+      });
+    }
+    return trieNode;
+  };
+  const trie = await walk(root, reference, Buffer.alloc(0));
+  
+  return { files, rootMetadata, trie };
+}
+
+// Size of some content without downloading it: the span (8 bytes, little
+// endian) in front of its root chunk. Unknown (null) for encrypted references,
+// whose chunks can only be read after decryption.
+async function getContentSize(reference, { node = activeNode, signal } = {}) {
+  if (reference.length !== 64) return null;
+  const chunk = await apiRequest('GET', `/chunks/${reference}`, { node, signal, raw: true });
+  return chunk.length >= 8 ? Number(chunk.readBigUInt64LE(0)) : null;
+}
+
+// First `limit` bytes of some content - stops reading once it has enough
+async function fetchContentHead(reference, limit, { node = activeNode, signal } = {}) {
+  const chunks = [];
+  let received = 0;
+  const sink = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(chunk);
+      received += chunk.length;
+      callback(received >= limit ? Object.assign(new Error('Enough data'), { enough: true }) : null);
+    },
+  });
+  try {
+    await apiRequest('GET', `/bytes/${reference}`, { headers: { Range: `bytes=0-${limit - 1}` }, node, signal, sink });
+  } catch (err) {
+    if (!err.enough) throw err;
+  }
+  return Buffer.concat(chunks).subarray(0, limit);
+}
+
+// Manifest writer
+//
+// Edits work on the trie listManifestFiles() returns: each node is
+// { reference, entry, version, forks } with forks keyed by the first byte of
+// their prefix. Changing an entry clears the reference of every node on the
+// way to it, so saving only uploads those nodes - all other subtrees and file
+// contents keep their references.
+const MANTARAY_TYPE_EDGE = 4;
+const MANTARAY_TYPE_PATH_SEPARATOR = 8;
+
+function setManifestEntry(trie, entryPath, entry, metadata) {
+  const finish = (fork) => {
+    fork.node.reference = null;
+    fork.node.entry = entry;
+    fork.type |= MANTARAY_TYPE_VALUE;
+    fork.metadata = metadata;
+  };
+  const insert = (trieNode, rest) => {
+    trieNode.reference = null;
+    const fork = trieNode.forks.get(rest[0]);
+    if (!fork) {
+      const child = { reference: null, entry: null, forks: new Map() };
+      const created = { prefix: rest.subarray(0, MANTARAY_PREFIX_SIZE), type: 0, metadata: null, node: child };
+      trieNode.forks.set(rest[0], created);
+      if (rest.length > MANTARAY_PREFIX_SIZE) {
+        insert(child, rest.subarray(MANTARAY_PREFIX_SIZE));
+      } else {
+        finish(created);
+      }
+      return;
+    }
+    
+    let common = 0;
+    while (common < fork.prefix.length && common < rest.length && fork.prefix[common] === rest[common]) common++;
+    if (common < fork.prefix.length) {
+      // The existing fork continues below a new node for the shared part
+      const tail = { ...fork, prefix: fork.prefix.subarray(common) };
+      const mid = { reference: null, entry: null, forks: new Map([[tail.prefix[0], tail]]) };
+      Object.assign(fork, { prefix: fork.prefix.subarray(0, common), type: 0, metadata: null, node: mid });
+    }
+    if (common === rest.length) {
+      finish(fork);
+    } else {
+      insert(fork.node, rest.subarray(common));
+    }
+  };
+  insert(trie, Buffer.from(entryPath));
+}
+
+// Returns false if there was no such entry
+function removeManifestEntry(trie, entryPath) {
+  const remove = (trieNode, rest) => {
+    const fork = trieNode.forks.get(rest[0]);
+    if (!fork || !rest.subarray(0, fork.prefix.length).equals(fork.prefix)) return false;
+    if (rest.length === fork.prefix.length) {
+      if (!(fork.type & MANTARAY_TYPE_VALUE)) return false;
+      fork.type &= ~MANTARAY_TYPE_VALUE;
+      fork.metadata = null;
+      fork.node.entry = null;
+      fork.node.reference = null;
+    } else if (!remove(fork.node, rest.subarray(fork.prefix.length))) {
+      return false;
+    }
+    trieNode.reference = null;
+    // Drop forks that lead nowhere anymore
+    if (!(fork.type & MANTARAY_TYPE_VALUE) && fork.node.forks.size === 0) {
+      trieNode.forks.delete(rest[0]);
+    }
+    return true;
+  };
+  return remove(trie, Buffer.from(entryPath));
+}
+
+// Inverse of parseMantarayNode, without obfuscation. Metadata is padded with
+// newlines to a multiple of 32 bytes, like Bee does.
+function serializeMantarayNode(trieNode, version) {
+  const refSize = 32;
+  const bitmap = Buffer.alloc(32);
+  const forkParts = [];
+  for (const key of [...trieNode.forks.keys()].sort((a, b) => a - b)) {
+    const fork = trieNode.forks.get(key);
+    bitmap[key >> 3] |= 1 << (key & 7);
+    const hasMetadata = Boolean(fork.metadata && Object.keys(fork.metadata).length);
+    const type = (fork.type & MANTARAY_TYPE_VALUE) |
+      (fork.node.forks.size ? MANTARAY_TYPE_EDGE : 0) |
+      (fork.prefix.includes(0x2f) ? MANTARAY_TYPE_PATH_SEPARATOR : 0) |
+      (hasMetadata ? MANTARAY_TYPE_METADATA : 0);
+    const prefix = Buffer.alloc(MANTARAY_PREFIX_SIZE);
+    fork.prefix.copy(prefix);
+    forkParts.push(Buffer.from([type, fork.prefix.length]), prefix, Buffer.from(fork.node.reference, 'hex'));
+    if (hasMetadata) {
+      const json = Buffer.from(JSON.stringify(fork.metadata));
+      const padding = (32 - ((json.length + 2) % 32)) % 32;
+      const size = Buffer.alloc(2);
+      size.writeUInt16BE(json.length + padding);
+      forkParts.push(size, json, Buffer.alloc(padding, '\n'));
+    }
+  }
+  return Buffer.concat([
+    Buffer.alloc(32),
+    version,
+    Buffer.from([refSize]),
+    trieNode.entry ? Buffer.from(trieNode.entry, 'hex') : Buffer.alloc(refSize),
+    bitmap,
+    ...forkParts,
+  ]);
+}
+
+// Uploads every node without a reference, children first; resolves with the root reference
+async function saveManifestTrie(trieNode, version, uploadNode) {
+  for (const fork of trieNode.forks.values()) {
+    if (!fork.node.reference) await saveManifestTrie(fork.node, version, uploadNode);
+  }
+  if (!trieNode.reference) {
+    trieNode.reference = await uploadNode(serializeMantarayNode(trieNode, version));
+  }
+  return trieNode.reference;
+}
+
+// Applies { put: [{ path, filePath, metadata }], remove: [path], rootMetadata }
+// to a loaded manifest trie, uploading the new contents and changed nodes.
+// Recorded like any other upload, with `files` as the new file list;
+// resolves with { tagUid, reference }.
+async function updateManifest(trie, changes, { node = activeNode, batchId: uploadBatchId = batchId, name, files = [], signal, onProgress = () => {} } = {}) {
+  const baseReference = trie.reference;
+  try {
+    await checkBatchUsable(uploadBatchId, node);
+  } catch (err) {
+    logUpload(`REJECTED edit="${name}" batch=${uploadBatchId} error="${err.message}"`);
+    throw err;
+  }
+  
+  logUpload(`EDIT START manifest=${formatLogReference(baseReference)} name="${name}" put=${changes.put.length} remove=${changes.remove.length}`);
+  try {
+    onProgress({ phase: 'Creating tag', percent: 0 });
+    const tagUid = await createTag(node);
+    startUploadMeta(tagUid, {
+      name,
+      date: new Date().toISOString(),
+      batchId: uploadBatchId,
+      reference: null,
+      isDirectory: true,
+      fileCount: files.length,
+      files,
+      indexDocument: changes.rootMetadata?.['website-index-document'] || null,
+      basedOn: baseReference,
+    }, node.dbPath);
+    
+    const upload = async (body, size, onBytes = null) => {
+      const result = await apiRequest('POST', '/bytes', {
+        headers: {
+          'Content-Type': 'application/octet-stream',
+          'Content-Length': size,
+          'swarm-postage-batch-id': uploadBatchId,
+          'swarm-tag': tagUid.toString(),
+        },
+        body,
+        onProgress: onBytes,
+        signal,
+        node,
+      });
+      return result.reference;
+    };
+    
+    const sizes = changes.put.map(change => fs.statSync(change.filePath).size);
+    const total = sizes.reduce((sum, size) => sum + size, 0);
+    const meter = createTransferMeter(total);
+    let done = 0;
+    for (const [i, change] of changes.put.entries()) {
+      const reference = await upload(fs.createReadStream(change.filePath), sizes[i], (sent) => {
+        const progress = meter(done + sent);
+        if (progress) onProgress({ phase: 'Uploading', percent: progress.percent, label: progress.label });
+      });
+      done += sizes[i];
+      setManifestEntry(trie, change.path, reference, change.metadata);
+    }
+    for (const entryPath of changes.remove) {
+      removeManifestEntry(trie, entryPath);
+    }
+    if (changes.rootMetadata) {
+      setManifestEntry(trie, '/', null, changes.rootMetadata);
+    }
+    
+    onProgress({ phase: 'Saving manifest', percent: 100 });
+    let nodeCount = 0;
+    const reference = await saveManifestTrie(trie, trie.version, (data) => {
+      nodeCount++;
+      return upload(data, data.length);
+    });
+    
+    saveUploadMeta(tagUid, { reference }, node.dbPath);
+    logUpload(`EDIT COMPLETE manifest=${formatLogReference(baseReference)} reference=${formatLogReference(reference)} tag=${tagUid} files=${changes.put.length} nodes=${nodeCount}`);
+    return { tagUid, reference };
+  } catch (err) {
+    logUpload(`EDIT ERROR manifest=${formatLogReference(baseReference)} error="${err.message}"`);
+    throw err;
+  }
+}
+
+// Feeds
+//
+// A feed gives a series of uploads one stable address. Each update is a
+// single owner chunk (SOC) holding a timestamp and the reference of the new
+// upload, signed with a local key and stored at an address derived from the
+// owner, the topic and a running index. The feed manifest, created once per
+// feed, makes /bzz/<feed manifest>/ serve whatever the latest update points to.
+// Signing keys and feeds live in state/feeds.json (readable by the owner only).
+const feedsPath = path.join(stateDir, 'feeds.json');
+
+function loadFeeds() {
+  try {
+    if (fs.existsSync(feedsPath)) {
+      const data = JSON.parse(fs.readFileSync(feedsPath, 'utf8'));
+      return { keys: data.keys || {}, feeds: data.feeds || {} };
+    }
+  } catch {}
+  return { keys: {}, feeds: {} };
+}
+
+function saveFeeds(data) {
+  fs.writeFileSync(feedsPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+}
+
+function getFeed(name) {
+  return loadFeeds().feeds[name] || null;
+}
+
+// Feed whose uploads come from this directory, if any
+function getFeedForPath(dirPath) {
+  const feeds = loadFeeds().feeds;
+  const name = Object.keys(feeds).find(key => feeds[key].path === dirPath);
+  return name ? { name, ...feeds[name] } : null;
+}
+
+function keccakHex(...parts) {
+  return Buffer.from(keccak_256(Buffer.concat(parts))).toString('hex');
+}
+
+// Ethereum address of a private key: last 20 bytes of the public key's hash
+function getKeyAddress(privateKey) {
+  const publicKey = secp256k1.getPublicKey(Buffer.from(privateKey, 'hex'), false);
+  return keccakHex(publicKey.subarray(1)).slice(24);
+}
+
+// Stores a new signing key - generated, or imported as 64 hex characters
+function addSigningKey(name, privateKey = null) {
+  const data = loadFeeds();
+  if (data.keys[name]) {
+    const error = new Error(`Key "${name}" already exists`);
+    error.retryable = false;
+    throw error;
+  }
+  const key = privateKey
+    ? privateKey.replace(/^0x/i, '').toLowerCase()
+    : Buffer.from(secp256k1.utils.randomPrivateKey()).toString('hex');
+  if (!/^[0-9a-f]{64}$/.test(key) || !secp256k1.utils.isValidPrivateKey(key)) {
+    const error = new Error('Private key must be 64 hex characters');
+    error.retryable = false;
+    throw error;
+  }
+  const address = getKeyAddress(key);
+  data.keys[name] = { privateKey: key, address, createdAt: new Date().toISOString() };
+  saveFeeds(data);
+  logUpload(`KEY ${privateKey ? 'import' : 'create'} name="${name}" address=${address}`);
+  return { name, address };
+}
+
+function removeSigningKey(name) {
+  const data = loadFeeds();
+  const user = Object.keys(data.feeds).find(feed => data.feeds[feed].key === name);
+  if (user) {
+    const error = new Error(`Key "${name}" is used by feed "${user}"`);
+    error.retryable = false;
+    throw error;
+  }
+  delete data.keys[name];
+  saveFeeds(data);
+}
+
+// Topics are the hash of the feed name, like bee-js and swarm-cli do
+function makeTopic(name) {
+  return keccakHex(Buffer.from(name, 'utf8'));
+}
+
+// Content address of a chunk: keccak256(span | root of the binary merkle tree
+// over the payload, padded to 4096 bytes)
+function getChunkAddress(span, payload) {
+  let level = Buffer.alloc(CHUNK_SIZE);
+  payload.copy(level);
+  while (level.length > 32) {
+    const next = Buffer.alloc(level.length / 2);
+    for (let i = 0; i < level.length; i += 64) {
+      Buffer.from(keccak_256(level.subarray(i, i + 64))).copy(next, i / 2);
+    }
+    level = next;
+  }
+  return Buffer.from(keccak_256(Buffer.concat([span, level])));
+}
+
+// Bee expects r | s | v over the Ethereum signed message hash of the digest
+function signDigest(digest, privateKey) {
+  const prefix = Buffer.from(`\x19Ethereum Signed Message:\n${digest.length}`);
+  const signature = secp256k1.sign(keccak_256(Buffer.concat([prefix, digest])), Buffer.from(privateKey, 'hex'));
+  return Buffer.concat([Buffer.from(signature.toCompactRawBytes()), Buffer.from([signature.recovery + 27])]);
+}
+
+// Index the next update goes to, as far as the node can tell (0 for a new feed)
+async function lookupFeedIndex(owner, topic, { node = activeNode, signal } = {}) {
+  const discard = new Writable({ write: (chunk, encoding, callback) => callback() });
+  try {
+    const { headers } = await apiRequest('GET', `/feeds/${owner}/${topic}`, {
+      headers: { 'swarm-only-root-chunk': 'true' },
+      sink: discard,
+      signal,
+      node,
+    });
+    const next = headers['swarm-feed-index-next'];
+    return next ? Number(BigInt(`0x${next}`)) : 0;
+  } catch (err) {
+    if (/^HTTP 404/.test(err.message)) return 0;
+    throw err;
+  }
+}
+
+// Creates the feed and its manifest on the node; needs a postage batch
+async function createFeed(name, keyName, { node = activeNode, batchId: uploadBatchId = batchId } = {}) {
+  const data = loadFeeds();
+  const key = data.keys[keyName];
+  if (data.feeds[name] || !key) {
+    const error = new Error(data.feeds[name] ? `Feed "${name}" already exists` : `No signing key "${keyName}"`);
+    error.retryable = false;
+    throw error;
+  }
+  await checkBatchUsable(uploadBatchId, node);
+  
+  const topic = makeTopic(name);
+  const result = await apiRequest('POST', `/feeds/${key.address}/${topic}?type=sequence`, {
+    headers: { 'swarm-postage-batch-id': uploadBatchId },
+    node,
+  });
+  const feed = {
+    key: keyName,
+    owner: key.address,
+    topic,
+    manifest: result.reference,
+    path: null,
+    index: 0,
+    reference: null,
+    createdAt: new Date().toISOString(),
+  };
+  // Re-read in case an update finished meanwhile
+  const latest = loadFeeds();
+  latest.feeds[name] = feed;
+  saveFeeds(latest);
+  logUpload(`FEED create name="${name}" owner=${key.address} topic=${topic} manifest=${result.reference}`);
+  return feed;
+}
+
+function updateFeedEntry(name, patch) {
+  const data = loadFeeds();
+  if (!data.feeds[name]) return;
+  data.feeds[name] = { ...data.feeds[name], ...patch };
+  saveFeeds(data);
+}
+
+// Points the feed at `reference` by writing the next update.
+// Resolves with { index, manifest }.
+async function publishToFeed(name, reference, { node = activeNode, batchId: uploadBatchId = batchId, signal } = {}) {
+  const data = loadFeeds();
+  const feed = data.feeds[name];
+  const key = feed && data.keys[feed.key];
+  if (!feed || !key) {
+    const error = new Error(feed ? `Signing key "${feed.key}" of feed "${name}" is missing` : `No feed "${name}"`);
+    error.retryable = false;
+    throw error;
+  }
+  if (!isValidReference(reference)) {
+    const error = new Error('Reference must be 64 or 128 hex characters');
+    error.retryable = false;
+    throw error;
+  }
+  // Feeds are public, so the decryption key would be readable by anyone
+  if (isEncryptedReference(reference)) {
+    const error = new Error('Encrypted references are not published to feeds, as that would make their key public');
+    error.retryable = false;
+    throw error;
+  }
+  
+  try {
+    // The node may not have seen updates published elsewhere yet and vice versa
+    const index = Math.max(feed.index || 0, await lookupFeedIndex(feed.owner, feed.topic, { node, signal }));
+    const indexBytes = Buffer.alloc(8);
+    indexBytes.writeBigUInt64BE(BigInt(index));
+    const identifier = Buffer.from(keccak_256(Buffer.concat([Buffer.from(feed.topic, 'hex'), indexBytes])));
+    
+    const timestamp = Buffer.alloc(8);
+    timestamp.writeBigUInt64BE(BigInt(Math.floor(Date.now() / 1000)));
+    const payload = Buffer.concat([timestamp, Buffer.from(reference, 'hex')]);
+    const span = Buffer.alloc(8);
+    span.writeBigUInt64LE(BigInt(payload.length));
+    const signature = signDigest(Buffer.from(keccak_256(Buffer.concat([identifier, getChunkAddress(span, payload)]))), key.privateKey);
+    
+    const body = Buffer.concat([span, payload]);
+    await apiRequest('POST', `/soc/${feed.owner}/${identifier.toString('hex')}?sig=${signature.toString('hex')}`, {
+      headers: {
+        'Content-Type': 'application/octet-stream',
+        'Content-Length': body.length,
+        'swarm-postage-batch-id': uploadBatchId,
+      },
+      body,
+      signal,
+      node,
+    });
+    
+    updateFeedEntry(name, { index: index + 1, reference, updatedAt: new Date().toISOString() });
+    logUpload(`FEED update name="${name}" index=${index} reference=${formatLogReference(reference)}`);
+    return { index, manifest: feed.manifest };
+  } catch (err) {
+    logUpload(`FEED ERROR name="${name}" reference=${formatLogReference(reference)} error="${err.message}"`);
+    throw err;
+  }
+}
+
+// Address the feed manifest is served under
+function getFeedUrl(manifest, node = activeNode) {
+  return `${describeEndpoint(node)}/bzz/${manifest}/`;
+}
+
+// Headless mode
+//
+// `swarm-commander <command>` runs a single command without the TUI, for use in
+// scripts and CI. Results go to stdout (JSON with --json), progress and errors
+// to stderr. Exit codes: 0 success, 1 failure, 2 usage error, 3 sync timeout.
+const CLI_USAGE = `Usage: swarm-commander [options]               start the file manager
+       swarm-commander upload <path> [options]  upload a file or directory
+       swarm-commander download <ref> [dir]     download a reference (collections as a directory)
+       swarm-commander list [options]           list upload tags and their sync state
+       swarm-commander status <tag> [options]   show the sync state of one tag
+       swarm-commander stamps [options]         list postage batches
+
+Options:
+  --node <name>         node profile from state/config.json
+  --api-url <url>       Bee API URL (default ${DEFAULT_API_URL})
+  --api-token <token>   bearer token sent with every request
+  --header "K: V"       extra request header (repeatable)
+  --insecure            skip TLS certificate verification
+  --ca <file>           extra CA certificate (PEM)
+  --batch <id>          postage batch to upload with
+  --index <file>        index document of a directory upload (default index.html if present)
+  --error <file>        error document of a directory upload, e.g. 404.html
+  --type <mime>         content type of a file upload (default by extension)
+  --pin                 upload: pin the upload on the node
+  --encrypt             upload: encrypt the content (the reference then holds the key)
+  --redundancy <level>  upload: erasure coding none, medium, strong, insane or paranoid (0-4)
+  --direct              upload: return only once the node has pushed the chunks
+  --feed <name>         upload: point this feed (F7 in the file manager) at the upload
+  --wait-sync           upload/status: wait until all chunks are synced
+  --timeout <seconds>   give up waiting for sync after this long (default 600)
+  --json                print machine-readable JSON
+  -h, --help            show this help`;
+
+const CLI_SYNC_TIMEOUT = 600;
+
+function cliError(message, exitCode) {
+  const error = new Error(message);
+  error.exitCode = exitCode;
+  return error;
+}
+
+// Chunks that were already present on the node (seen) are never synced again
+function isTagSynced(tag) {
+  return tag.split > 0 && tag.synced + (tag.seen || 0) >= tag.split;
+}
+
+function getSyncPercent(tag) {
+  return tag.split > 0 ? Math.min(100, Math.round(((tag.synced + (tag.seen || 0)) / tag.split) * 100)) : 0;
+}
+
+async function waitForSync(tagUid, { node = activeNode, timeout = CLI_SYNC_TIMEOUT, onUpdate = () => {} } = {}) {
+  const deadline = Date.now() + timeout * 1000;
+  while (true) {
+    const tag = await getTagStatus(tagUid, node);
+    onUpdate(tag);
+    if (isTagSynced(tag)) return tag;
+    if (Date.now() >= deadline) {
+      throw cliError(`Tag ${tagUid} not synced after ${timeout}s (${tag.synced}/${tag.split} chunks)`, 3);
+    }
+    await new Promise(resolve => setTimeout(resolve, 1000));
+  }
+}
+
+function getCliTimeout() {
+  if (cliArgs.timeout === undefined) return CLI_SYNC_TIMEOUT;
+  const timeout = Number(cliArgs.timeout);
+  if (!Number.isFinite(timeout) || timeout <= 0) {
+    throw cliError(`Invalid --timeout: ${cliArgs.timeout}`, 2);
+  }
+  return timeout;
+}
+
+// Progress goes to stderr, and only to a terminal - CI logs get the result only
+function cliProgress(text) {
+  if (!process.stderr.isTTY) return;
+  process.stderr.write(`\r\x1b[K${text}`);
+}
+
+function describeTag(tag, meta) {
+  return {
+    tag: tag.uid,
+    name: meta?.name || null,
+    reference: meta?.reference || null,
+    date: meta?.date || tag.startedAt || null,
+    split: tag.split,
+    seen: tag.seen,
+    stored: tag.stored,
+    sent: tag.sent,
+    synced: tag.synced,
+    percent: getSyncPercent(tag),
+    done: isTagSynced(tag),
+  };
+}
+
+async function cliUpload(args) {
+  if (args.length !== 1) throw cliError('upload takes exactly one path', 2);
+  const target = path.resolve(args[0]);
+  let stat;
+  try {
+    stat = fs.statSync(target);
+  } catch {
+    throw cliError(`No such file or directory: ${args[0]}`, 2);
+  }
+  if (!isValidBatchId(batchId)) {
+    throw cliError('No postage batch - pass --batch <id>, set SWARM_BATCH_ID or select one in the file manager (F2)', 2);
+  }
+  if (cliArgs.index && !stat.isDirectory()) {
+    throw cliError('--index only applies to directory uploads', 2);
+  }
+  if (cliArgs.error && !stat.isDirectory()) {
+    throw cliError('--error only applies to directory uploads', 2);
+  }
+  if (cliArgs.type && stat.isDirectory()) {
+    throw cliError('--type only applies to file uploads', 2);
+  }
+  if (cliArgs.type && !isValidContentType(cliArgs.type)) {
+    throw cliError(`Not a content type: ${cliArgs.type}`, 2);
+  }
+  const redundancyLevel = cliArgs.redundancy === undefined ? 0 : parseRedundancyLevel(cliArgs.redundancy);
+  if (redundancyLevel === null) {
+    throw cliError(`Unknown redundancy level "${cliArgs.redundancy}" - use ${REDUNDANCY_LEVELS.join(', ')} or 0-4`, 2);
+  }
+  if (cliArgs.feed && !getFeed(cliArgs.feed)) {
+    throw cliError(`No feed "${cliArgs.feed}" in state/feeds.json`, 2);
+  }
+  if (cliArgs.feed && cliArgs.encrypt) {
+    throw cliError('--feed cannot be combined with --encrypt: the feed would make the decryption key public', 2);
+  }
+  const timeout = getCliTimeout();
+  
+  const files = stat.isDirectory() ? getDirectoryStats(target).files : [{ path: path.basename(target), size: stat.size }];
+  const capacity = await checkUploadCapacity(files, { encrypt: Boolean(cliArgs.encrypt), redundancyLevel });
+  if (capacity.level === 'block') {
+    throw cliError(`Upload of ~${capacity.chunks} chunks would overflow immutable batch ${batchId.slice(0, 12)}... - top up or dilute it first`, 1);
+  }
+  if (capacity.level === 'warn') {
+    console.error(`swarm-commander: batch ${batchId.slice(0, 12)}... will be ~${capacity.usageAfter.toFixed(0)}% used after this upload`);
+  }
+  
+  const options = {
+    indexDocument: cliArgs.index,
+    errorDocument: cliArgs.error,
+    contentType: cliArgs.type,
+    redundancyLevel,
+    deferred: !cliArgs.direct,
+    pin: Boolean(cliArgs.pin),
+    encrypt: Boolean(cliArgs.encrypt),
+    onProgress: ({ phase, percent, label }) => {
+      cliProgress(`${phase}: ${percent.toFixed(1)}%${label ? ` (${label})` : ''}`);
+    },
+  };
+  const { tagUid, reference } = stat.isDirectory()
+    ? await uploadDirectory(target, options)
+    : await uploadFile(target, options);
+  
+  let feed = null;
+  if (cliArgs.feed) {
+    cliProgress('Updating feed');
+    feed = await publishToFeed(cliArgs.feed, reference);
+    saveUploadMeta(tagUid, { feed: cliArgs.feed, feedManifest: feed.manifest, feedIndex: feed.index });
+  }
+  
+  let tag = null;
+  if (cliArgs['wait-sync']) {
+    tag = await waitForSync(tagUid, {
+      timeout,
+      onUpdate: (t) => cliProgress(`Syncing: ${getSyncPercent(t)}% (${t.synced}/${t.split} chunks)`),
+    });
+  }
+  cliProgress('');
+  // A headless run ends before the DB could be written once it is readable again
+  if (!isUploadsDbReadable()) {
+    console.error(`swarm-commander: ${activeNode.dbPath} cannot be read, the upload is not recorded in it`);
+  }
+  
+  return {
+    json: {
+      name: getUploadMeta(tagUid)?.name || path.basename(target),
+      reference,
+      tag: tagUid,
+      batchId,
+      pinned: Boolean(cliArgs.pin),
+      encrypted: Boolean(cliArgs.encrypt),
+      feed: feed ? { name: cliArgs.feed, index: feed.index, manifest: feed.manifest, url: getFeedUrl(feed.manifest) } : undefined,
+      synced: tag ? true : undefined,
+    },
+    text: reference,
+  };
+}
+
+async function cliDownload(args) {
+  if (args.length < 1 || args.length > 2) throw cliError('download takes a reference and an optional directory', 2);
+  if (!isValidReference(args[0])) throw cliError('Reference must be 64 or 128 hex characters', 2);
+  const destDir = path.resolve(args[1] || '.');
+  if (!fs.existsSync(destDir) || !fs.statSync(destDir).isDirectory()) {
+    throw cliError(`Not a directory: ${args[1]}`, 2);
+  }
+  
+  const result = await downloadReference(args[0], destDir, {
+    onProgress: ({ phase, percent, label }) => {
+      cliProgress(`${phase}: ${percent.toFixed(1)}%${label ? ` (${label})` : ''}`);
+    },
+  });
+  cliProgress('');
+  return {
+    json: { reference: args[0].toLowerCase(), ...result },
+    text: result.path,
+  };
+}
+
+async function cliList(args) {
+  if (args.length > 0) throw cliError('list takes no arguments', 2);
+  const tags = await getAllTags();
+  tags.sort((a, b) => b.uid - a.uid);
+  const uploadsDb = loadUploadsDb();
+  const rows = tags.map(tag => describeTag(tag, uploadsDb[tag.uid]));
+  return {
+    json: rows,
+    text: rows.map(r =>
+      `${String(r.tag).padEnd(10)} ${String(r.percent).padStart(3)}% ${`${r.synced}/${r.split}`.padStart(15)}  ${(r.name || '(unknown)').padEnd(24)} ${r.reference || '-'}`
+    ).join('\n'),
+  };
+}
+
+async function cliTagStatus(args) {
+  if (args.length !== 1 || !/^\d+$/.test(args[0])) throw cliError('status takes one numeric tag uid', 2);
+  const tagUid = Number(args[0]);
+  const timeout = getCliTimeout();
+  let tag;
+  try {
+    tag = cliArgs['wait-sync']
+      ? await waitForSync(tagUid, {
+        timeout,
+        onUpdate: (t) => cliProgress(`Syncing: ${getSyncPercent(t)}% (${t.synced}/${t.split} chunks)`),
+      })
+      : await getTagStatus(tagUid);
+  } catch (err) {
+    if (/^HTTP 404/.test(err.message)) throw cliError(`Tag ${tagUid} not found on node "${activeNode.name}"`, 1);
+    throw err;
+  }
+  cliProgress('');
+  const info = describeTag(tag, getUploadMeta(tagUid));
+  return {
+    json: info,
+    text: [
+      `Tag:        ${info.tag}`,
+      `Name:       ${info.name || '(unknown)'}`,
+      `Reference:  ${info.reference || '-'}`,
+      `Synced:     ${info.percent}% (${info.synced}/${info.split} chunks, ${info.seen} already present)`,
+      `State:      ${info.done ? 'synced' : 'syncing'}`,
+    ].join('\n'),
+  };
+}
+
+async function cliStamps(args) {
+  if (args.length > 0) throw cliError('stamps takes no arguments', 2);
+  const stamps = await getStamps();
+  return {
+    json: stamps.map(stamp => ({ ...stamp, usage: getBatchUsage(stamp) })),
+    text: stamps.map(stamp =>
+      `${stamp.batchID} ${String(stamp.depth).padStart(3)} ${getBatchUsage(stamp).toFixed(0).padStart(4)}% ${formatDuration(stamp.batchTTL).padStart(8)} ${stamp.usable ? 'usable  ' : 'unusable'} ${stamp.label || ''}`.trimEnd()
+    ).join('\n'),
+  };
+}
+
+const cliCommands = {
+  upload: cliUpload,
+  download: cliDownload,
+  list: cliList,
+  status: cliTagStatus,
+  stamps: cliStamps,
+};
+
+async function runCli(command, args) {
+  const json = Boolean(cliArgs.json);
+  try {
+    if (command === 'help') {
+      console.log(CLI_USAGE);
+      return 0;
+    }
+    if (!cliCommands[command]) throw cliError(`unknown command "${command}"`, 2);
+    const result = await cliCommands[command](args);
+    const output = json ? JSON.stringify(result.json, null, 2) : result.text;
+    if (output) console.log(output);
+    return 0;
+  } catch (err) {
+    cliProgress('');
+    if (json) {
+      console.log(JSON.stringify({ error: err.message }, null, 2));
+    } else {
+      console.error(`swarm-commander: ${err.message}`);
+      if (err.exitCode === 2) console.error('Run "swarm-commander --help" for usage.');
+    }
+    return err.exitCode || 1;
+  }
+}
+
+if (cliArgs.help) {
+  console.log(CLI_USAGE);
+  process.exit(0);
+}
+if (cliPositionals.length > 0) {
+  process.exit(await runCli(cliPositionals[0], cliPositionals.slice(1)));
+}
+
+// Create screen
+const screen = blessed.screen({
+  smartCSR: true,
+  title: 'Swarm Commander',
+  fullUnicode: true,
+});
+
+// Color scheme - Midnight Commander inspired
+const colors = {
+  bg: 'black',
+  fg: 'white',
+  border: 'cyan',
+  selected: 'blue',
+  header: 'yellow',
+  directory: 'white',
+  file: 'gray',
+  uploaded: 'green',
+  error: 'red',
+};
+
+// Header
+const header = blessed.box({
+  parent: screen,
+  top: 0,
+  left: 0,
+  width: '100%',
+  height: 1,
+  content: ' {bold}SWARM COMMANDER{/bold} │ F2: Batch │ F3: Open Ref │ F4: Node │ F5: Upload │ F6: Queue │ F7: Feeds │ F8: Pins │ F9: History │ F10/Q: Quit ',
+  tags: true,
+  style: {
+    fg: 'black',
+    bg: 'cyan',
+  },
+});
+
+// Left panel - File browser
+const leftBox = blessed.box({
+  parent: screen,
+  top: 1,
+  left: 0,
+  width: '50%',
+  height: '100%-3',
+  label: ' {cyan-fg}Files{/cyan-fg} ',
+  tags: true,
+  border: { type: 'line' },
+  style: {
+    border: { fg: colors.border },
+    bg: colors.bg,
+  },
+});
+
+const leftHeader = blessed.box({
+  parent: leftBox,
+  top: 0,
+  left: 0,
+  width: '100%-2',
   height: 1,
-  content: ' {bold}SWARM COMMANDER{/bold}  │  F2: Batch  │  F5: Upload File/Dir  │  F10/Q: Quit  │  Tab: Switch  ',
   tags: true,
+  style: { fg: 'yellow', bg: 'blue' },
+});
+
+const fileList = blessed.list({
+  parent: leftBox,
+  top: 1,
+  left: 0,
+  width: '100%-2',
+  height: '100%-3',
+  keys: true,
+  vi: true,
+  mouse: true,
+  tags: true,
+  scrollbar: {
+    ch: '|',
+    style: { bg: 'cyan' },
+  },
+  style: {
+    fg: colors.fg,
+    bg: colors.bg,
+    selected: { fg: 'black', bg: 'cyan', bold: true },
+  },
+});
+
+// Right panel - Uploads
+const rightBox = blessed.box({
+  parent: screen,
+  top: 1,
+  left: '50%',
+  width: '50%',
+  height: '100%-3',
+  label: ' {green-fg}Uploads{/green-fg} ',
+  tags: true,
+  border: { type: 'line' },
+  style: {
+    border: { fg: colors.border },
+    bg: colors.bg,
+  },
+});
+
+const rightHeader = blessed.box({
+  parent: rightBox,
+  top: 0,
+  left: 0,
+  width: '100%-2',
+  height: 1,
+  content: ' Name                 Sync   Progress',
+  style: { fg: 'yellow', bg: 'blue' },
+});
+
+const tagList = blessed.list({
+  parent: rightBox,
+  top: 1,
+  left: 0,
+  width: '100%-2',
+  height: '100%-3',
+  keys: true,
+  vi: true,
+  mouse: true,
+  tags: true,
+  scrollbar: {
+    ch: '|',
+    style: { bg: 'green' },
+  },
   style: {
-    fg: 'black',
-    bg: 'cyan',
+    fg: colors.fg,
+    bg: colors.bg,
+    selected: { fg: 'black', bg: 'green', bold: true },
+  },
+});
+
+const queueList = blessed.list({
+  parent: rightBox,
+  top: 1,
+  left: 0,
+  width: '100%-2',
+  height: '100%-3',
+  keys: true,
+  vi: true,
+  mouse: true,
+  tags: true,
+  hidden: true,
+  scrollbar: {
+    ch: '|',
+    style: { bg: 'green' },
+  },
+  style: {
+    fg: colors.fg,
+    bg: colors.bg,
+    selected: { fg: 'black', bg: 'green', bold: true },
+  },
+});
+
+const pinList = blessed.list({
+  parent: rightBox,
+  top: 1,
+  left: 0,
+  width: '100%-2',
+  height: '100%-3',
+  keys: true,
+  vi: true,
+  mouse: true,
+  tags: true,
+  hidden: true,
+  scrollbar: {
+    ch: '|',
+    style: { bg: 'green' },
+  },
+  style: {
+    fg: colors.fg,
+    bg: colors.bg,
+    selected: { fg: 'black', bg: 'green', bold: true },
+  },
+});
+
+const historyList = blessed.list({
+  parent: rightBox,
+  top: 1,
+  left: 0,
+  width: '100%-2',
+  height: '100%-3',
+  keys: true,
+  vi: true,
+  mouse: true,
+  tags: true,
+  hidden: true,
+  scrollbar: {
+    ch: '|',
+    style: { bg: 'green' },
+  },
+  style: {
+    fg: colors.fg,
+    bg: colors.bg,
+    selected: { fg: 'black', bg: 'green', bold: true },
   },
 });
 
-// Left panel - File browser
-const leftBox = blessed.box({
-  parent: screen,
-  top: 1,
-  left: 0,
-  width: '50%',
-  height: '100%-3',
-  label: ' {cyan-fg}Files{/cyan-fg} ',
-  tags: true,
-  border: { type: 'line' },
-  style: {
-    border: { fg: colors.border },
-    bg: colors.bg,
-  },
-});
+// Which list the right panel shows: 'uploads' (node tags), 'queue', 'pins' or 'history'
+let rightView = 'uploads';
+
+const nodeErrorBox = blessed.box({
+  parent: rightBox,
+  top: 'center',
+  left: 'center',
+  width: 'shrink',
+  height: 'shrink',
+  padding: { left: 2, right: 2, top: 1, bottom: 1 },
+  tags: true,
+  hidden: true,
+  style: { fg: 'red', bg: 'black', border: { fg: 'red' } },
+  border: { type: 'line' },
+});
+
+function updateNodeErrorBox(err) {
+  const reason = err?.message ? `\n{gray-fg}${blessed.escape(err.message.slice(0, 60))}{/gray-fg}` : '';
+  nodeErrorBox.setContent(
+    `{bold}Swarm node unreachable{/bold}\n\n{gray-fg}Check if bee is running on ${blessed.escape(describeEndpoint())}{/gray-fg}` +
+    reason
+  );
+}
+
+// Footer / Status bar
+const footer = blessed.box({
+  parent: screen,
+  bottom: 1,
+  left: 0,
+  width: '100%',
+  height: 1,
+  tags: true,
+  style: { fg: 'black', bg: 'cyan' },
+});
+
+// Batch ID input area
+const batchBar = blessed.box({
+  parent: screen,
+  bottom: 0,
+  left: 0,
+  width: '100%',
+  height: 1,
+  tags: true,
+  style: { fg: 'white', bg: 'black' },
+});
+
+// Active panel tracking
+let activePanel = 'left';
+
+function updateRightLabel() {
+  const nodeLabel = Object.keys(config.nodes).length > 1 ? ` @ ${blessed.escape(activeNode.name)}` : '';
+  const running = runningJobs.size;
+  const waiting = uploadQueue.filter(job => job.status === 'queued' || job.status === 'retrying').length;
+  const queueInfo = running || waiting ? ` {cyan-fg}[queue: ${running} running, ${waiting} waiting]{/cyan-fg}` : '';
+  // Upload names and history come from the DB, so say why they are missing
+  const dbInfo = (rightView === 'uploads' || rightView === 'history') && !isUploadsDbReadable()
+    ? ' {red-fg}[uploads DB unreadable]{/red-fg}' : '';
+  const title = rightView === 'queue' ? 'Upload Queue'
+    : rightView === 'pins' ? `Pinned${nodeLabel}`
+      : rightView === 'history' ? `History${nodeLabel}{/green-fg} {gray-fg}${formatHistoryState()}{/gray-fg}{green-fg}`
+        : `Uploads${nodeLabel}{/green-fg} {gray-fg}${formatUploadFilter()}{/gray-fg}{green-fg}`;
+  rightBox.setLabel(` {green-fg}${title}{/green-fg}${dbInfo}${queueInfo} `);
+}
+
+// Last known /stamps entry for the selected batch (null if unknown)
+let batchInfo = null;
+
+function updateBatchBar() {
+  let batchDisplay = batchId ? `{green-fg}${batchId}{/green-fg}` : '{red-fg}NOT SET (press F2){/red-fg}';
+  if (batchId && batchInfo?.batchID === batchId) {
+    const label = batchInfo.label ? `{bold}${blessed.escape(batchInfo.label)}{/bold} ` : '';
+    const usage = getBatchUsage(batchInfo);
+    const usageColor = usage >= 90 ? 'red' : usage >= 70 ? 'yellow' : 'green';
+    const state = batchInfo.usable ? '' : ' {red-fg}(not usable){/red-fg}';
+    batchDisplay = `${label}${batchDisplay} {${usageColor}-fg}${usage.toFixed(0)}% used{/${usageColor}-fg} TTL ${formatDuration(batchInfo.batchTTL)}${state}`;
+  }
+  batchBar.setContent(` Batch: ${batchDisplay}  {gray-fg}│ Node: ${blessed.escape(activeNode.name)} (${blessed.escape(describeEndpoint())}){/gray-fg}`);
+}
+
+async function refreshBatchInfo() {
+  const node = activeNode;
+  const id = batchId;
+  if (!isValidBatchId(id)) {
+    batchInfo = null;
+  } else {
+    try {
+      const stamp = await getStamp(id, node);
+      if (node !== activeNode || id !== batchId) return;
+      batchInfo = stamp;
+    } catch {
+      if (node !== activeNode || id !== batchId) return;
+      batchInfo = null;
+    }
+  }
+  updateBatchBar();
+  screen.render();
+}
+
+function getFileIcon(entry) {
+  if (entry.isDir) return '[D]';
+  const ext = path.extname(entry.name).toLowerCase();
+  if (['.jpg', '.jpeg', '.png', '.gif', '.webp', '.svg', '.bmp', '.ico'].includes(ext)) return '[I]';
+  if (['.mp3', '.wav', '.flac', '.ogg', '.aac', '.m4a'].includes(ext)) return '[A]';
+  if (['.mp4', '.mkv', '.avi', '.mov', '.webm', '.wmv'].includes(ext)) return '[V]';
+  if (['.js', '.ts', '.py', '.rs', '.go', '.c', '.cpp', '.h', '.java', '.rb', '.sh'].includes(ext)) return '[C]';
+  if (['.json', '.yaml', '.yml', '.toml', '.xml', '.ini', '.conf'].includes(ext)) return '[~]';
+  if (['.md', '.txt', '.doc', '.docx', '.pdf', '.rtf'].includes(ext)) return '[T]';
+  if (['.zip', '.tar', '.gz', '.rar', '.7z', '.bz2', '.xz'].includes(ext)) return '[Z]';
+  return '   ';
+}
+
+function formatSize(bytes) {
+  if (bytes === 0) return '     0 B';
+  const k = 1024;
+  const sizes = ['B', 'K', 'M', 'G', 'T'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  const size = (bytes / Math.pow(k, i)).toFixed(i > 0 ? 1 : 0);
+  return size.padStart(6) + ' ' + sizes[i];
+}
+
+function formatSizeHuman(bytes) {
+  if (bytes === 0) return '0 B';
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return (bytes / Math.pow(k, i)).toFixed(2) + ' ' + sizes[i];
+}
+
+function formatDuration(seconds) {
+  if (seconds === undefined || seconds === null || seconds < 0) return '?';
+  if (seconds === 0) return 'expired';
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${Math.max(1, minutes)}m`;
+}
+
+// Shell-style glob ("*", "?", "[abc]") to an anchored RegExp
+function globToRegExp(pattern, flags = '') {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '*') {
+      source += '.*';
+    } else if (ch === '?') {
+      source += '.';
+    } else if (ch === '[') {
+      const end = pattern.indexOf(']', i + 1);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        let set = pattern.slice(i + 1, end).replace(/\\/g, '\\\\');
+        if (set.startsWith('!')) set = '^' + set.slice(1);
+        source += `[${set}]`;
+        i = end;
+      }
+    } else {
+      source += ch.replace(/[.+^${}()|\\\]]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, flags);
+}
+
+function createProgressBar(percent, width = 30) {
+  const filled = Math.round((percent / 100) * width);
+  const empty = width - filled;
+  return '█'.repeat(filled) + '░'.repeat(empty);
+}
+
+// File panel view settings, saved as "fileView" in config.json
+const FILE_SORTS = {
+  name: () => 0,
+  size: (a, b) => (a.isDir ? 0 : a.size - b.size),
+  mtime: (a, b) => a.mtime - b.mtime,
+  extension: (a, b) => path.extname(a.name).toLowerCase().localeCompare(path.extname(b.name).toLowerCase()),
+};
+const fileView = { sort: 'name', descending: false, showHidden: true, ...config.fileView };
+if (!FILE_SORTS[fileView.sort]) fileView.sort = 'name';
+
+function saveFileView() {
+  config.fileView = { ...fileView };
+  const saved = loadConfig();
+  saved.fileView = config.fileView;
+  saveConfig(saved);
+}
+
+// Directories first; ties are broken by name
+function compareFileEntries(a, b) {
+  if (a.isDir !== b.isDir) return a.isDir ? -1 : 1;
+  const order = FILE_SORTS[fileView.sort](a, b) || a.name.localeCompare(b.name);
+  return fileView.descending ? -order : order;
+}
+
+function formatFileTime(ms) {
+  const date = new Date(ms);
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function loadDirectory(dir) {
+  try {
+    currentDir = path.resolve(dir);
+    const entries = [];
+    
+    // Add parent directory entry
+    if (currentDir !== '/') {
+      entries.push({ name: '..', isDir: true, size: 0 });
+    }
+    
+    const items = fs.readdirSync(currentDir, { withFileTypes: true })
+      .filter(item => (item.isDirectory() || item.isFile()) && (fileView.showHidden || !item.name.startsWith('.')));
+    
+    const listed = [];
+    for (const item of items) {
+      try {
+        const fullPath = path.join(currentDir, item.name);
+        const stat = fs.statSync(fullPath);
+        listed.push({
+          name: item.name,
+          isDir: item.isDirectory(),
+          size: stat.size,
+          mtime: stat.mtimeMs,
+          path: fullPath,
+        });
+      } catch {
+        // Skip files we can't stat
+      }
+    }
+    entries.push(...listed.sort(compareFileEntries));
+    
+    // Update header with current path
+    const displayPath = currentDir.replace(homedir(), '~');
+    leftHeader.setContent(` ${displayPath}`);
+    
+    fileList.entries = applyFileFilter(entries);
+    renderFileList();
+    fileList.select(0);
+    
+    updateFooter();
+    screen.render();
+  } catch (err) {
+    showMessage(`Error: ${err.message}`, 'error');
+  }
+}
+
+// Re-reads the current directory, keeping the cursor and the marks
+function refreshDirectory() {
+  const selectedName = fileList.entries?.[fileList.selected]?.name;
+  const marked = new Set(getMarkedEntries().map(e => e.name));
+  loadDirectory(currentDir);
+  for (const entry of fileList.entries || []) {
+    if (marked.has(entry.name)) setMarked(entry, true);
+  }
+  renderFileList();
+  fileList.select(Math.max(0, (fileList.entries || []).findIndex(e => e.name === selectedName)));
+  updateFooter();
+  screen.render();
+}
+
+// Whether a file panel entry was uploaded from this node: 'uploaded',
+// 'changed' (size or modification time differ since) or 'new'. Pass the
+// getUploadsByPath() map when checking many entries.
+function getLocalUploadState(entry, uploadsByPath = getUploadsByPath()) {
+  const upload = uploadsByPath.get(entry.path);
+  if (!upload) return { status: 'new' };
+  if (!entry.isDir) {
+    return { status: isFileUnchanged(entry, upload) ? 'uploaded' : 'changed', upload };
+  }
+  return { status: getDirectoryUploadStatus(entry.path, upload), upload };
+}
+
+// Records from before modification times were kept are compared by size
+function isFileUnchanged(file, known) {
+  return file.size === known.size && (known.mtime === undefined || file.mtime === known.mtime);
+}
+
+// Walking a directory is costly and runs on the UI thread, so the result is
+// kept per path: until that path's latest upload changes, and for at most
+// DIRECTORY_STATE_TTL so edits made since are picked up
+const DIRECTORY_STATE_TTL = 60 * 1000;
+const directoryStates = new Map();
+
+function getDirectoryUploadStatus(dirPath, upload) {
+  const key = `${upload.reference}:${upload.date}`;
+  const cached = directoryStates.get(dirPath);
+  if (cached?.key === key && Date.now() - cached.checkedAt < DIRECTORY_STATE_TTL) return cached.status;
+  const status = isDirectoryUnchanged(dirPath, upload.files) ? 'uploaded' : 'changed';
+  directoryStates.set(dirPath, { key, status, checkedAt: Date.now() });
+  return status;
+}
+
+// Editing a file does not change its directory's mtime, so the files are
+// compared one by one with those recorded, under the same ignore rules
+function isDirectoryUnchanged(dirPath, recorded) {
+  let files;
+  try {
+    files = collectDirectoryFiles(dirPath);
+  } catch {
+    return false;
+  }
+  if (files.length !== recorded.length) return false;
+  const recordedByPath = new Map(recorded.map(file => [file.path, file]));
+  return files.every((file) => {
+    const known = recordedByPath.get(file.path);
+    return known && isFileUnchanged(file, known);
+  });
+}
+
+const UPLOAD_MARKERS = {
+  uploaded: '{green-fg}●{/green-fg}',
+  changed: '{yellow-fg}●{/yellow-fg}',
+  new: '{gray-fg}·{/gray-fg}',
+};
+
+function formatFileEntry(e, uploadsByPath) {
+  const marker = e.name === '..' ? ' ' : UPLOAD_MARKERS[getLocalUploadState(e, uploadsByPath).status];
+  const icon = getFileIcon(e);
+  const size = (e.isDir ? '<DIR>' : formatSize(e.size)).padStart(8);
+  const mtime = e.mtime === undefined ? '' : ` ${formatFileTime(e.mtime)}`;
+  const maxNameLen = 28;
+  const name = e.name.length > maxNameLen ? e.name.slice(0, maxNameLen - 3) + '...' : e.name.padEnd(maxNameLen);
+  const row = `${marker} ${icon} ${blessed.escape(name)} ${size}${mtime}`;
+  // Marked entries are highlighted like in Midnight Commander
+  return e.marked ? `{yellow-fg}{bold}${row}{/bold}{/yellow-fg}` : row;
+}
+
+function renderFileList() {
+  const selected = fileList.selected;
+  const uploadsByPath = getUploadsByPath();
+  fileList.setItems((fileList.entries || []).map(entry => formatFileEntry(entry, uploadsByPath)));
+  fileList.select(selected);
+}
+
+function getMarkedEntries() {
+  return (fileList.entries || []).filter(e => e.marked);
+}
+
+// Marked directories count with the size of their contents
+function getEntryUploadSize(entry) {
+  if (!entry.isDir) return entry.size;
+  if (entry.totalSize === undefined) {
+    try {
+      entry.totalSize = getDirectoryStats(entry.path).totalSize;
+    } catch {
+      entry.totalSize = 0;
+    }
+  }
+  return entry.totalSize;
+}
+
+function setMarked(entry, marked) {
+  if (!entry || entry.name === '..') return;
+  entry.marked = marked;
+  if (marked) getEntryUploadSize(entry);
+}
+
+// Files only, like MC's "+" / "-" / "*" (directories are marked with Insert)
+function markByGlob(pattern, marked) {
+  const regex = globToRegExp(pattern);
+  let count = 0;
+  for (const entry of fileList.entries || []) {
+    if (!entry.isDir && regex.test(entry.name) && Boolean(entry.marked) !== marked) {
+      setMarked(entry, marked);
+      count++;
+    }
+  }
+  renderFileList();
+  updateFooter();
+  screen.render();
+  return count;
+}
+
+function invertMarks() {
+  for (const entry of fileList.entries || []) {
+    if (!entry.isDir) setMarked(entry, !entry.marked);
+  }
+  renderFileList();
+  updateFooter();
+  screen.render();
+}
+
+function clearMarks() {
+  for (const entry of fileList.entries || []) {
+    entry.marked = false;
+  }
+  renderFileList();
+  updateFooter();
+}
+
+function updateFooter() {
+  const selected = fileList.entries?.[fileList.selected];
+  if (selected) {
+    const info = selected.isDir ? 'Directory' : `File: ${formatSize(selected.size).trim()}`;
+    const marked = getMarkedEntries();
+    const markedInfo = marked.length
+      ? `{yellow-fg}${marked.length} marked (${formatSizeHuman(marked.reduce((sum, e) => sum + getEntryUploadSize(e), 0))}){/yellow-fg}  │  `
+      : '';
+    let uploadInfo = '';
+    if (selected.name !== '..') {
+      const { status, upload } = getLocalUploadState(selected);
+      const where = upload?.within ? ` (in ${blessed.escape(upload.within)})` : '';
+      uploadInfo = status === 'new' ? '  │  {gray-fg}not uploaded{/gray-fg}'
+        : status === 'changed' ? `  │  {yellow-fg}changed since upload{/yellow-fg} ${formatLogReference(upload.reference)}${where}`
+          : `  │  {green-fg}uploaded{/green-fg} ${formatLogReference(upload.reference)}${where}`;
+    }
+    footer.setContent(` ${markedInfo}${blessed.escape(selected.name)}  │  ${info}  │  ${fileList.entries.length - 1} items${uploadInfo}`);
+  }
+}
+
+// Panel filters and search
+//
+// Filters stay active until cleared and are saved as "panelFilters" in
+// config.json. "/" searches the rows shown as you type; n/N repeat the last
+// search.
+const UPLOAD_STATUSES = ['all', 'pending', 'syncing', 'synced'];
+let fileFilter = typeof config.panelFilters?.files === 'string' ? config.panelFilters.files : '';
+const uploadFilter = { name: '', reference: '', batch: '', status: 'all', from: '', to: '', ...config.panelFilters?.uploads };
+if (!UPLOAD_STATUSES.includes(uploadFilter.status)) uploadFilter.status = 'all';
+let lastSearch = '';
+
+function savePanelFilters() {
+  config.panelFilters = { files: fileFilter, uploads: { ...uploadFilter } };
+  const saved = loadConfig();
+  saved.panelFilters = config.panelFilters;
+  saveConfig(saved);
+}
+
+// Directories stay visible so the filter can be used while navigating
+function applyFileFilter(entries) {
+  if (!fileFilter) return entries;
+  const regex = globToRegExp(fileFilter);
+  return entries.filter(entry => entry.isDir || regex.test(entry.name));
+}
+
+function updateLeftLabel() {
+  const state = [
+    `by ${fileView.sort}${fileView.descending ? ' (descending)' : ''}`,
+    !fileView.showHidden && 'hidden files off',
+    fileFilter && `[${blessed.escape(fileFilter)}]`,
+  ].filter(Boolean).join(', ');
+  leftBox.setLabel(` {cyan-fg}Files{/cyan-fg} {gray-fg}${state}{/gray-fg} `);
+}
+
+function getSyncState(tag) {
+  if (isTagSynced(tag)) return 'synced';
+  return tag.sent > 0 || tag.synced > 0 ? 'syncing' : 'pending';
+}
+
+function matchesUploadFilter(tag, meta) {
+  const { name, reference, batch, status, from, to } = uploadFilter;
+  if (name && !(meta?.name || '').toLowerCase().includes(name.toLowerCase())) return false;
+  if (reference && !(meta?.reference || '').startsWith(reference.toLowerCase())) return false;
+  if (batch && !(meta?.batchId || '').startsWith(batch.toLowerCase())) return false;
+  if (status !== 'all' && getSyncState(tag) !== status) return false;
+  const date = (meta?.date || tag.startedAt || '').slice(0, 10);
+  if (from && date < from) return false;
+  if (to && date > to) return false;
+  return true;
+}
+
+function formatUploadFilter() {
+  const { name, reference, batch, status, from, to } = uploadFilter;
+  const parts = [
+    name && `"${name}"`,
+    reference && `ref ${reference}`,
+    batch && `batch ${batch}`,
+    status !== 'all' && status,
+    (from || to) && `${from || '…'} to ${to || '…'}`,
+  ].filter(Boolean);
+  return parts.length ? `[${blessed.escape(parts.join(', '))}]` : '';
+}
+
+function showUploadFilterDialog() {
+  const isDate = (value) => {
+    if (!value || (/^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)))) return null;
+    return 'Dates are written as YYYY-MM-DD';
+  };
+  const any = value => value || 'any';
+  showConfirmDialog({
+    title: 'Filter Uploads',
+    content: 'Show only uploads matching all of these.\nEmpty fields match everything.',
+    height: 8,
+    width: 56,
+    fields: [
+      { name: 'name', key: 'n', label: 'Name contains', value: uploadFilter.name, input: true, format: any },
+      {
+        name: 'reference', key: 'r', label: 'Reference starts with', value: uploadFilter.reference, input: true, format: any,
+        validate: value => /^[0-9a-fA-F]*$/.test(value) ? null : 'A reference only has hex digits',
+      },
+      {
+        name: 'batch', key: 'b', label: 'Batch starts with', value: uploadFilter.batch, input: true, format: any,
+        validate: value => /^[0-9a-fA-F]*$/.test(value) ? null : 'A batch ID only has hex digits',
+      },
+      { name: 'status', key: 's', label: 'Status', value: uploadFilter.status, values: UPLOAD_STATUSES },
+      { name: 'from', key: 'f', label: 'From date', value: uploadFilter.from, input: true, format: any, validate: isDate },
+      { name: 'to', key: 't', label: 'To date', value: uploadFilter.to, input: true, format: any, validate: isDate },
+    ],
+  }, (values) => {
+    Object.assign(uploadFilter, values);
+    savePanelFilters();
+    tagList.select(0);
+    updateRightLabel();
+    tagList.focus();
+    refreshTagList();
+  }, () => tagList.focus());
+}
+
+// Text "/" matches in each row of a searchable list
+function getSearchTexts(list) {
+  if (list === fileList) return (fileList.entries || []).map(entry => entry.name);
+  if (list === historyList) {
+    return (historyList.entries || []).map(({ meta }) => `${meta.name || ''} ${meta.reference || ''} ${meta.batchId || ''}`);
+  }
+  return (tagList.metas || []).map(meta => `${meta?.name || ''} ${meta?.reference || ''}`);
+}
+
+function findSearchMatch(list, term, start, step = 1) {
+  const texts = getSearchTexts(list);
+  const needle = term.toLowerCase();
+  for (let i = 0; i < texts.length; i++) {
+    const index = (((start + i * step) % texts.length) + texts.length) % texts.length;
+    if (texts[index].toLowerCase().includes(needle)) return index;
+  }
+  return -1;
+}
+
+// Moves to the first match while typing; Enter keeps it, Escape goes back
+function startSearch(list) {
+  const origin = list.selected;
+  const bar = blessed.box({
+    parent: screen,
+    bottom: 0,
+    left: 0,
+    width: '100%',
+    height: 1,
+    tags: true,
+    content: ' {cyan-fg}Search:{/cyan-fg}',
+    style: { fg: 'white', bg: 'black' },
+  });
+  const input = blessed.textbox({
+    parent: bar,
+    top: 0,
+    left: 9,
+    width: '100%-9',
+    height: 1,
+    style: { fg: 'white', bg: 'black' },
+  });
+  // The textbox updates its value after the keypress event
+  input.on('keypress', () => setImmediate(() => {
+    const index = input.value ? findSearchMatch(list, input.value, origin) : origin;
+    input.style.fg = index === -1 ? 'red' : 'white';
+    if (index !== -1) list.select(index);
+    if (list === fileList) updateFooter();
+    screen.render();
+  }));
+  input.readInput((err, value) => {
+    bar.destroy();
+    if (value === null || value === undefined) {
+      list.select(origin);
+    } else if (value) {
+      lastSearch = value;
+    }
+    if (list === fileList) updateFooter();
+    list.focus();
+    screen.render();
+  });
+  screen.render();
+}
+
+function repeatSearch(list, step) {
+  if (!lastSearch) return;
+  const index = findSearchMatch(list, lastSearch, list.selected + step, step);
+  if (index === -1) {
+    showMessage(`Not found: ${lastSearch}`, 'error');
+    return;
+  }
+  list.select(index);
+  if (list === fileList) updateFooter();
+  screen.render();
+}
+
+async function refreshTagList() {
+  if (rightView !== 'uploads') return;
+  const node = activeNode;
+  try {
+    const tags = await getAllTags(node);
+    // Node was switched while the request was in flight
+    if (node !== activeNode) return;
+    
+    // Sort by uid descending (newest first)
+    tags.sort((a, b) => b.uid - a.uid);
+    
+    const uploadsDb = loadUploadsDb(node.dbPath);
+    recordSyncedUploads(tags, uploadsDb, node.dbPath);
+    updateRightLabel();
+    const metaOf = tag => uploadsDb[tag.uid] && isTagOfUpload(tag, uploadsDb[tag.uid]) ? uploadsDb[tag.uid] : null;
+    const shown = tags.filter(tag => matchesUploadFilter(tag, metaOf(tag)));
+    const metas = shown.map(metaOf);
+    const items = shown.map((tag, i) => {
+      const meta = metas[i];
+      const name = meta?.name ? meta.name.slice(0, 20).padEnd(20) : '(unknown)'.padEnd(20);
+      const percent = tag.split > 0 ? Math.round((tag.synced / tag.split) * 100) : 0;
+      const progress = `${String(percent).padStart(3)}%`;
+      
+      // Color the row based on status
+      let color = '';
+      let endColor = '';
+      if (tag.split === 0) {
+        color = '{gray-fg}';
+        endColor = '{/gray-fg}';
+      } else if (tag.synced >= tag.split) {
+        color = '{green-fg}';
+        endColor = '{/green-fg}';
+      } else if (tag.sent > 0 || tag.synced > 0) {
+        color = '{cyan-fg}';
+        endColor = '{/cyan-fg}';
+      } else if (tag.seen > 0 || tag.stored > 0) {
+        color = '{yellow-fg}';
+        endColor = '{/yellow-fg}';
+      }
+      
+      return `${color}${name} ${progress} ${tag.synced}/${tag.split}${endColor}`;
+    });
+    
+    if (items.length === 0 && tags.length > 0) {
+      items.push('  {gray-fg}(no uploads match - F changes the filter){/gray-fg}');
+    }
+    
+    const prevSelected = tagList.selected;
+    const prevScroll = tagList.childBase;
+    tagList.setItems(items);
+    tagList.tags = shown;
+    tagList.metas = metas;
+    tagList.select(Math.min(prevSelected, items.length - 1));
+    tagList.childBase = Math.min(prevScroll, Math.max(0, items.length - tagList.height + 2));
+    nodeErrorBox.hide();
+    screen.render();
+  } catch (err) {
+    if (node !== activeNode) return;
+    updateNodeErrorBox(err);
+    nodeErrorBox.show();
+    screen.render();
+  }
+}
+
+let detailRefreshInterval = null;
+
+function formatRetrievability(meta) {
+  if (meta.checkError) return `{yellow-fg}check failed: ${blessed.escape(meta.checkError.slice(0, 60))}{/yellow-fg}`;
+  if (meta.retrievable === undefined) return '{gray-fg}not checked (C){/gray-fg}';
+  return meta.retrievable
+    ? `{green-fg}retrievable{/green-fg} {gray-fg}(checked ${meta.checkedAt}){/gray-fg}`
+    : `{red-fg}not retrievable{/red-fg} {gray-fg}(checked ${meta.checkedAt}) - R re-uploads{/gray-fg}`;
+}
+
+// Without live data (only { uid }), the tag is gone from the node
+function renderUploadDetailContent(tag, meta) {
+  const percent = tag.split > 0 ? Math.round((tag.synced / tag.split) * 100) : 0;
+  const progressBar = createProgressBar(percent, 25);
+  const progressInfo = tag.split === undefined
+    ? `{bold}Progress:{/bold} {gray-fg}tag no longer on the node{/gray-fg}` +
+      (meta?.syncedAt ? `, {green-fg}synced{/green-fg} by ${meta.syncedAt}\n\n` : '\n\n')
+    : `{bold}Progress:{/bold} {cyan-fg}${progressBar}{/cyan-fg} ${percent}%\n` +
+      `           ${tag.synced} / ${tag.split} chunks synced\n\n`;
+  
+  const isDir = meta?.isDirectory;
+  const typeLabel = isDir ? 'Directory' : 'File';
+  const filesInfo = isDir && meta?.fileCount ? `{bold}Files:{/bold}    ${meta.fileCount} files\n\n` : '';
+  const indexInfo = meta?.indexDocument ? `{bold}Index:{/bold}    {green-fg}${meta.indexDocument}{/green-fg}\n\n` : '';
+  const errorInfo = meta?.errorDocument ? `{bold}Error:{/bold}    {green-fg}${meta.errorDocument}{/green-fg}\n\n` : '';
+  // Uploads from before the options were recorded only know whether they were pinned
+  const options = [
+    ...(meta?.pinned ? ['{green-fg}pinned{/green-fg}'] : []),
+    ...(meta?.deferred === undefined ? [] : [meta.deferred ? 'deferred' : 'direct', `redundancy ${REDUNDANCY_LEVELS[meta.redundancyLevel || 0]}`]),
+  ];
+  const optionsInfo = options.length ? `{bold}Options:{/bold}  ${options.join(', ')}\n\n` : '';
+  const feedInfo = meta?.feedManifest
+    ? `{bold}Feed:{/bold}     ${blessed.escape(meta.feed)} (update #${meta.feedIndex + 1})\n` +
+      `{bold}Feed URL:{/bold} {cyan-fg}${getFeedUrl(meta.feedManifest)}{/cyan-fg}\n\n`
+    : '';
+  const encryptedInfo = meta?.encrypted
+    ? `{bold}Encrypted:{/bold} {yellow-fg}yes - the hash includes the decryption key,{/yellow-fg}\n` +
+      `           {yellow-fg}anyone holding it can read the content{/yellow-fg}\n\n`
+    : '';
+  const networkInfo = meta?.reference ? `{bold}Network:{/bold}  ${formatRetrievability(meta)}\n\n` : '';
+  const reuploadInfo = meta?.reuploadError
+    ? `{bold}Re-upload:{/bold} {red-fg}failed: ${blessed.escape(meta.reuploadError.slice(0, 80))}{/red-fg}\n\n`
+    : meta?.reuploadedAt
+      ? `{bold}Re-upload:{/bold} ${meta.reuploadedAt} with batch ${meta.reuploadBatchId.slice(0, 12)}...\n\n`
+      : '';
+  const listHint = meta?.reference
+    ? `{gray-fg}L: browse manifest | D: download | P: pin/unpin\nC: check | Shift-C: check all | R: re-upload | Escape: close{/gray-fg}`
+    : `{gray-fg}Escape to close{/gray-fg}`;
+  
+  return (
+    `{bold}{cyan-fg}Upload Details{/cyan-fg}{/bold}\n` +
+    `${'─'.repeat(40)}\n\n` +
+    `{bold}Type:{/bold}     ${typeLabel}${meta?.contentType ? ` (${blessed.escape(meta.contentType)})` : ''}\n\n` +
+    `{bold}Name:{/bold}     ${meta?.name || '(unknown)'}\n\n` +
+    filesInfo +
+    indexInfo +
+    errorInfo +
+    `{bold}Hash:{/bold}     ${meta?.reference || '(pending)'}\n\n` +
+    encryptedInfo +
+    feedInfo +
+    optionsInfo +
+    `{bold}Date:{/bold}     ${meta?.date || '(unknown)'}\n\n` +
+    `{bold}Batch:{/bold}    ${meta?.batchId?.slice(0, 32) || '(unknown)'}...\n\n` +
+    `{bold}Tag UID:{/bold}  ${tag.uid}\n\n` +
+    progressInfo +
+    networkInfo +
+    reuploadInfo +
+    `${'─'.repeat(40)}\n` +
+    listHint
+  );
+}
+
+// key is the upload's key in the uploads DB if it is not the tag uid (see
+// startUploadMeta)
+function showUploadDetail(tag, key = tag.uid) {
+  const meta = getUploadMeta(key);
+  
+  // Clear existing detail view and interval
+  if (selectedUploadDetail) {
+    selectedUploadDetail.destroy();
+  }
+  if (detailRefreshInterval) {
+    clearInterval(detailRefreshInterval);
+    detailRefreshInterval = null;
+  }
+  
+  const detailBox = blessed.box({
+    parent: rightBox,
+    top: 0,
+    left: 0,
+    width: '100%-2',
+    height: '100%-2',
+    tags: true,
+    style: { fg: 'white', bg: 'black' },
+    content: renderUploadDetailContent(tag, meta),
+  });
+  
+  selectedUploadDetail = detailBox;
+  selectedUploadDetail.meta = meta;
+  selectedUploadDetail.tagUid = key;
+  screen.render();
+  
+  // Auto-refresh every second; the last known tag stays when the node cannot be reached
+  const node = activeNode;
+  let liveTag = tag;
+  detailRefreshInterval = setInterval(async () => {
+    if (!selectedUploadDetail || selectedUploadDetail.isManifestView) return;
+    try {
+      const updatedTag = await getTagStatus(tag.uid, node);
+      // A different upload got the uid after a node reset
+      if (key === tag.uid && isTagOfUpload(updatedTag, getUploadMeta(key, node.dbPath))) liveTag = updatedTag;
+    } catch {}
+    if (selectedUploadDetail !== detailBox) return;
+    const updatedMeta = getUploadMeta(key, node.dbPath);
+    selectedUploadDetail.setContent(renderUploadDetailContent(liveTag, updatedMeta));
+    selectedUploadDetail.meta = updatedMeta;
+    screen.render();
+  }, 1000);
+}
+
+// Manifest explorer
+//
+// Reads the manifest of a reference from the node and shows it as a directory
+// tree in the right panel: Enter opens a directory or previews a file,
+// Backspace goes up, D downloads the highlighted file into the file panel's
+// directory and Escape closes the explorer (or the preview).
+//
+// It doubles as the manifest editor: files from the left panel can be added
+// or replaced (A), entries removed (Del) and the index/error document changed
+// (I/E). Changes are staged until S uploads them as a new version of the
+// manifest, which only costs the new files and the changed manifest nodes.
+const PREVIEW_LIMIT = 64 * 1024;
+
+function buildManifestTree(files) {
+  const root = { name: '', parent: null, dirs: new Map(), files: [] };
+  for (const file of files) {
+    const parts = file.path.split('/');
+    let dir = root;
+    for (const part of parts.slice(0, -1)) {
+      if (!dir.dirs.has(part)) {
+        dir.dirs.set(part, { name: part, parent: dir, dirs: new Map(), files: [] });
+      }
+      dir = dir.dirs.get(part);
+    }
+    // Files are shared with the caller, so looked up sizes survive a rebuild
+    file.name = parts[parts.length - 1];
+    dir.files.push(file);
+  }
+  return root;
+}
+
+function getManifestDirPath(dir) {
+  const parts = [];
+  for (let d = dir; d?.parent; d = d.parent) parts.unshift(d.name);
+  return parts.join('/');
+}
+
+function countManifestFiles(dir) {
+  let count = dir.files.length;
+  for (const sub of dir.dirs.values()) count += countManifestFiles(sub);
+  return count;
+}
+
+function formatManifestEntry(entry) {
+  if (entry.isUp) return '  {bold}[D] ..{/bold}';
+  if (entry.dir) {
+    const name = blessed.escape(`[D] ${entry.dir.name}`.slice(0, 30)).padEnd(30);
+    return `  {bold}${name}{/bold} {gray-fg}${String(countManifestFiles(entry.dir)).padStart(9)} files{/gray-fg}`;
+  }
+  const { file } = entry;
+  const name = blessed.escape(`${getFileIcon(file)} ${file.name}`.slice(0, 30)).padEnd(30);
+  const size = file.size === undefined ? '…' : file.size === null ? '?' : formatSizeHuman(file.size);
+  const type = blessed.escape((file.metadata['Content-Type'] || '').slice(0, 24));
+  const row = `  ${name} ${size.padStart(9)}  {gray-fg}${type}{/gray-fg}`;
+  // Staged changes
+  if (file.status === 'new') return `{green-fg}${row}{/green-fg}`;
+  if (file.status === 'changed') return `{yellow-fg}${row}{/yellow-fg}`;
+  return row;
+}
+
+// Text as is, anything else as a hex dump of its first bytes
+function formatPreview(data, contentType = '') {
+  const sample = data.subarray(0, 8192);
+  const isText = /^text\/|json|xml|javascript|svg/.test(contentType) || (!sample.includes(0) && !/^(image|audio|video|font)\//.test(contentType));
+  if (isText) return blessed.escape(data.toString('utf8'));
+  
+  const lines = [];
+  for (let offset = 0; offset < Math.min(data.length, 1024); offset += 8) {
+    const row = data.subarray(offset, offset + 8);
+    const hex = [...row].map(b => b.toString(16).padStart(2, '0')).join(' ').padEnd(23);
+    const ascii = [...row].map(b => (b >= 32 && b < 127 ? String.fromCharCode(b) : '.')).join('');
+    lines.push(`${offset.toString(16).padStart(8, '0')}  ${hex}  ${blessed.escape(ascii)}`);
+  }
+  return `{gray-fg}binary content - first ${Math.min(data.length, 1024)} bytes:{/gray-fg}\n\n${lines.join('\n')}`;
+}
+
+function showManifestExplorer(reference, title = null) {
+  if (rightView !== 'uploads') showRightView('uploads');
+  closeUploadDetail();
+  const node = activeNode;
+  const controller = new AbortController();
+  const label = title || `${reference.slice(0, 16)}...`;
+  // Encrypted manifests would need encrypted nodes as well
+  const editable = reference.length === 64;
+  
+  const headerBox = blessed.box({
+    parent: rightBox,
+    top: 0,
+    left: 0,
+    width: '100%-2',
+    height: 3,
+    tags: true,
+    style: { fg: 'white', bg: 'black' },
+    content:
+      `{bold}{cyan-fg}Manifest of ${blessed.escape(label)}{/cyan-fg}{/bold}\n` +
+      `${'─'.repeat(40)}\n` +
+      `{yellow-fg}Loading manifest...{/yellow-fg}`,
+  });
+  
+  const entriesList = blessed.list({
+    parent: rightBox,
+    top: 3,
+    left: 0,
+    width: '100%-2',
+    height: '100%-8',
+    keys: true,
+    vi: true,
+    mouse: true,
+    tags: true,
+    scrollbar: {
+      ch: '|',
+      style: { bg: 'cyan' },
+    },
+    style: {
+      fg: 'white',
+      bg: 'black',
+      selected: { fg: 'black', bg: 'cyan', bold: true },
+    },
+  });
+  
+  const footerBox = blessed.box({
+    parent: rightBox,
+    bottom: 0,
+    left: 0,
+    width: '100%-2',
+    height: 3,
+    tags: true,
+    style: { fg: 'gray', bg: 'black' },
+    content: '{gray-fg}Escape: close{/gray-fg}',
+  });
+  
+  let previewBox = null;
+  let manifest = null;
+  let currentManifestDir = null;
+  let saving = false;
+  let confirmingDiscard = false;
+  
+  // Staged edits: draft is the file list as it will be after saving
+  const draft = new Map();
+  const puts = new Map();
+  const removals = new Set();
+  let draftRoot = {};
+  let rootChanged = false;
+  let tree = null;
+  
+  const changeCount = () => puts.size + removals.size + (rootChanged ? 1 : 0);
+  const selectedEntry = () => entriesList.entries?.[entriesList.selected];
+  
+  const updateInfo = () => {
+    const entry = selectedEntry();
+    const info = entry?.file
+      ? `${blessed.escape(entry.file.path)} → ${entry.file.reference ? `${entry.file.reference.slice(0, 24)}...` : blessed.escape(entry.file.localPath)}`
+      : entry?.dir ? blessed.escape(`${getManifestDirPath(entry.dir)}/`) : '';
+    footerBox.setContent(
+      `{gray-fg}${info}{/gray-fg}\n` +
+      '{gray-fg}Enter: open/preview | Backspace: up | D: download | Escape: close{/gray-fg}\n' +
+      (editable ? '{gray-fg}A: add from file panel | Del: remove | I/E: index/error | S: save{/gray-fg}' : '')
+    );
+  };
+  
+  const updateHeader = () => {
+    const dirPath = getManifestDirPath(currentManifestDir);
+    const documents = [
+      draftRoot['website-index-document'] ? `Index: ${draftRoot['website-index-document']}` : '',
+      draftRoot['website-error-document'] ? `Error: ${draftRoot['website-error-document']}` : '',
+    ].filter(Boolean).join('  ');
+    const pending = changeCount() ? `  {yellow-fg}${changeCount()} unsaved change(s){/yellow-fg}` : '';
+    headerBox.setContent(
+      `{bold}{cyan-fg}Manifest of ${blessed.escape(label)}{/cyan-fg}{/bold}  {gray-fg}${reference.slice(0, 16)}...{/gray-fg}\n` +
+      `${'─'.repeat(40)}\n` +
+      `{bold}/${blessed.escape(dirPath)}{/bold}  {gray-fg}${draft.size} file(s)  ${blessed.escape(documents)}{/gray-fg}${pending}`
+    );
+  };
+  
+  const renderEntries = () => {
+    const prevSelected = entriesList.selected;
+    entriesList.setItems(entriesList.entries.map(formatManifestEntry));
+    entriesList.select(prevSelected);
+    screen.render();
+  };
+  
+  // Sizes are looked up per directory, as it is shown
+  const loadSizes = async (dir) => {
+    for (const file of dir.files) {
+      if (file.size !== undefined) continue;
+      try {
+        file.size = await getContentSize(file.reference, { node, signal: controller.signal });
+      } catch {
+        file.size = null;
+      }
+      if (controller.signal.aborted) return;
+      if (currentManifestDir === dir) renderEntries();
+    }
+  };
+  
+  const openDir = (dir, selectName = null) => {
+    currentManifestDir = dir;
+    const entries = [];
+    if (dir.parent) entries.push({ isUp: true });
+    for (const sub of [...dir.dirs.values()].sort((a, b) => a.name.localeCompare(b.name))) {
+      entries.push({ dir: sub });
+    }
+    for (const file of [...dir.files].sort((a, b) => a.name.localeCompare(b.name))) {
+      entries.push({ file });
+    }
+    entriesList.entries = entries;
+    entriesList.setItems(entries.map(formatManifestEntry));
+    entriesList.select(Math.max(0, entries.findIndex(e => (e.dir?.name ?? e.file?.name) === selectName)));
+    
+    updateHeader();
+    updateInfo();
+    screen.render();
+    loadSizes(dir);
+  };
+  
+  // Rebuilds the tree from the draft and stays in the same directory if it still exists
+  const rebuild = () => {
+    const dirPath = getManifestDirPath(currentManifestDir);
+    const selectName = selectedEntry()?.dir?.name ?? selectedEntry()?.file?.name;
+    tree = buildManifestTree([...draft.values()]);
+    let dir = tree;
+    for (const part of dirPath ? dirPath.split('/') : []) {
+      if (!dir.dirs.has(part)) break;
+      dir = dir.dirs.get(part);
+    }
+    openDir(dir, selectName);
+  };
+  
+  const goUp = () => {
+    if (currentManifestDir?.parent) openDir(currentManifestDir.parent, currentManifestDir.name);
+  };
+  
+  const closePreview = () => {
+    previewBox.destroy();
+    previewBox = null;
+    entriesList.focus();
+    screen.render();
+  };
+  
+  const showPreview = async (file) => {
+    if (!file.reference) {
+      showMessage('File is not uploaded yet - it is staged from the file panel', 'info');
+      return;
+    }
+    previewBox = blessed.box({
+      parent: rightBox,
+      top: 3,
+      left: 0,
+      width: '100%-2',
+      height: '100%-8',
+      border: 'line',
+      label: ` ${blessed.escape(file.name)} `,
+      tags: true,
+      keys: true,
+      vi: true,
+      mouse: true,
+      scrollable: true,
+      alwaysScroll: true,
+      scrollbar: { ch: '|', style: { bg: 'cyan' } },
+      style: { fg: 'white', bg: 'black', border: { fg: 'cyan' } },
+      content: '{yellow-fg}Loading...{/yellow-fg}',
+    });
+    const box = previewBox;
+    box.focus();
+    screen.render();
+    try {
+      const data = await fetchContentHead(file.reference, PREVIEW_LIMIT, { node, signal: controller.signal });
+      const more = file.size > data.length ? `\n\n{gray-fg}(first ${formatSizeHuman(data.length)} of ${formatSizeHuman(file.size)}){/gray-fg}` : '';
+      box.setContent(formatPreview(data, file.metadata['Content-Type']) + more);
+    } catch (err) {
+      box.setContent(`{red-fg}Preview failed: ${blessed.escape(err.message)}{/red-fg}`);
+    }
+    screen.render();
+  };
+  
+  const canEdit = () => {
+    if (!manifest || saving) return false;
+    if (!editable) {
+      showMessage('Encrypted manifests cannot be edited', 'error');
+      return false;
+    }
+    return true;
+  };
+  
+  const stageFile = (entryPath, filePath, size) => {
+    const existing = draft.get(entryPath);
+    const metadata = {
+      'Content-Type': existing?.metadata['Content-Type'] || resolveContentType(filePath),
+      Filename: path.posix.basename(entryPath),
+    };
+    puts.set(entryPath, { path: entryPath, filePath, metadata });
+    draft.set(entryPath, {
+      path: entryPath,
+      reference: null,
+      localPath: filePath,
+      metadata,
+      size,
+      status: manifest.paths.has(entryPath) ? 'changed' : 'new',
+    });
+  };
+  
+  const unstageFile = (entryPath) => {
+    draft.delete(entryPath);
+    puts.delete(entryPath);
+    if (manifest.paths.has(entryPath)) removals.add(entryPath);
+  };
+  
+  // Marked entries of the file panel, or the highlighted one, go into the
+  // directory shown here - directories with their ignore rules applied
+  const addFromFilePanel = () => {
+    if (!canEdit()) return;
+    const marked = getMarkedEntries();
+    const selected = fileList.entries?.[fileList.selected];
+    const sources = marked.length ? marked : (selected && selected.name !== '..' ? [selected] : []);
+    if (sources.length === 0) {
+      showMessage('Highlight or mark files in the file panel to add them', 'error');
+      return;
+    }
+    
+    const base = getManifestDirPath(currentManifestDir);
+    let count = 0;
+    for (const source of sources) {
+      const files = source.isDir
+        ? collectDirectoryFiles(source.path, source.name)
+        : [{ path: source.name, fullPath: source.path, size: source.size }];
+      for (const file of files) {
+        const entryPath = [base, file.path.split(path.sep).join('/')].filter(Boolean).join('/');
+        stageFile(entryPath, file.fullPath, file.size);
+        count++;
+      }
+    }
+    rebuild();
+    showMessage(`Staged ${count} file(s) - S saves a new version of the manifest`, 'success');
+  };
+  
+  const removeSelected = () => {
+    if (!canEdit()) return;
+    const entry = selectedEntry();
+    let paths = [];
+    if (entry?.file) {
+      paths = [entry.file.path];
+    } else if (entry?.dir) {
+      const prefix = `${getManifestDirPath(entry.dir)}/`;
+      paths = [...draft.keys()].filter(p => p.startsWith(prefix));
+    }
+    if (paths.length === 0) return;
+    paths.forEach(unstageFile);
+    rebuild();
+    showMessage(`Removed ${paths.length} file(s) - S saves a new version of the manifest`, 'success');
+  };
+  
+  const toggleDocument = (key, what) => {
+    if (!canEdit()) return;
+    const entry = selectedEntry();
+    if (!entry?.file) {
+      showMessage(`Highlight the file to use as ${what} document`, 'error');
+      return;
+    }
+    draftRoot = { ...draftRoot };
+    if (draftRoot[key] === entry.file.path) {
+      delete draftRoot[key];
+    } else {
+      draftRoot[key] = entry.file.path;
+    }
+    rootChanged = JSON.stringify(draftRoot) !== JSON.stringify(manifest.rootMetadata);
+    updateHeader();
+    screen.render();
+  };
+  
+  const save = () => {
+    if (!canEdit()) return;
+    if (changeCount() === 0) {
+      showMessage('No changes to save', 'info');
+      return;
+    }
+    if (!batchId) {
+      showMessage('Batch ID not set! Press F2 to set it.', 'error');
+      return;
+    }
+    const uploadSize = [...puts.values()].reduce((sum, put) => sum + (draft.get(put.path)?.size || 0), 0);
+    showConfirmDialog({
+      title: 'Save Manifest Changes',
+      content:
+        `{bold}Manifest:{/bold}  ${blessed.escape(label)}\n\n` +
+        `{bold}Changes:{/bold}   ${puts.size} added/replaced, ${removals.size} removed${rootChanged ? ', documents' : ''}\n\n` +
+        `{bold}Upload:{/bold}    ${formatSizeHuman(uploadSize)} plus the changed manifest nodes\n\n` +
+        `{gray-fg}Creates a new reference; the old one stays valid.{/gray-fg}`,
+      height: 14,
+      width: 64,
+    }, async () => {
+      saving = true;
+      entriesList.focus();
+      const changes = { put: [...puts.values()], remove: [...removals], rootMetadata: rootChanged ? draftRoot : null };
+      const files = [...draft.values()].map(f => (f.size != null ? { path: f.path, size: f.size } : { path: f.path }));
+      try {
+        const result = await updateManifest(manifest.trie, changes, {
+          node,
+          name: label.replace(/\/?$/, '/'),
+          files,
+          signal: controller.signal,
+          onProgress: ({ phase, percent, label: detail }) => {
+            headerBox.setLine(2, `{yellow-fg}${phase}: ${percent.toFixed(0)}%${detail ? ` (${detail})` : ''}{/yellow-fg}`);
+            screen.render();
+          },
+        });
+        showMessage(`Saved new version: ${result.reference.slice(0, 32)}...`, 'success');
+        refreshTagList();
+        showManifestExplorer(result.reference, label);
+      } catch (err) {
+        if (controller.signal.aborted) return;
+        saving = false;
+        updateHeader();
+        showMessage(`Saving failed: ${err.message}`, 'error');
+      }
+    }, () => entriesList.focus());
+  };
+  
+  entriesList.on('select item', () => {
+    updateInfo();
+    screen.render();
+  });
+  
+  entriesList.key(['enter'], () => {
+    const entry = selectedEntry();
+    if (!entry) return;
+    if (entry.isUp) {
+      goUp();
+    } else if (entry.dir) {
+      openDir(entry.dir);
+    } else {
+      showPreview(entry.file);
+    }
+  });
+  
+  entriesList.key(['backspace'], goUp);
+  
+  entriesList.key(['d'], () => {
+    const entry = selectedEntry();
+    if (entry?.file?.reference) {
+      queueDownload(entry.file.reference, path.basename(entry.file.metadata.Filename || entry.file.name));
+    } else {
+      showMessage('Select an uploaded file to download - F3 downloads the whole manifest', 'error');
+    }
+  });
+  
+  entriesList.key(['a'], addFromFilePanel);
+  entriesList.key(['delete', 'x'], removeSelected);
+  entriesList.key(['i'], () => toggleDocument('website-index-document', 'index'));
+  entriesList.key(['e'], () => toggleDocument('website-error-document', 'error'));
+  entriesList.key(['s'], save);
+  
+  selectedUploadDetail = {
+    destroy: () => {
+      controller.abort();
+      headerBox.destroy();
+      entriesList.destroy();
+      footerBox.destroy();
+      if (previewBox) previewBox.destroy();
+      if (activePanel === 'right') tagList.focus();
+    },
+    // Escape closes the preview first, and asks before unsaved changes are dropped
+    onEscape: () => {
+      if (confirmingDiscard) return true;
+      if (previewBox) {
+        closePreview();
+        return true;
+      }
+      if (changeCount() > 0 && !saving) {
+        confirmingDiscard = true;
+        showConfirmDialog({
+          title: 'Discard Changes',
+          content: `Discard ${changeCount()} unsaved change(s) to ${blessed.escape(label)}?`,
+          height: 9,
+          borderColor: 'yellow',
+        }, () => {
+          confirmingDiscard = false;
+          closeUploadDetail();
+        }, () => {
+          confirmingDiscard = false;
+          entriesList.focus();
+          screen.render();
+        });
+        return true;
+      }
+      return false;
+    },
+    list: entriesList,
+    isManifestView: true,
+  };
+  
+  activePanel = 'right';
+  leftBox.style.border.fg = 'gray';
+  rightBox.style.border.fg = 'green';
+  entriesList.focus();
+  screen.render();
+  
+  (async () => {
+    try {
+      const root = await loadManifestNode(reference, { node, signal: controller.signal });
+      const result = await listManifestFiles(root, {
+        node,
+        signal: controller.signal,
+        reference,
+        onProgress: (count) => {
+          headerBox.setLine(2, `{yellow-fg}Loading manifest... ${count} file(s){/yellow-fg}`);
+          screen.render();
+        },
+      });
+      if (controller.signal.aborted) return;
+      manifest = { ...result, paths: new Set(result.files.map(f => f.path)) };
+      for (const file of result.files) draft.set(file.path, { ...file });
+      draftRoot = { ...result.rootMetadata };
+      currentManifestDir = null;
+      rebuild();
+    } catch (err) {
+      if (controller.signal.aborted) return;
+      const message = err.message === 'Not a manifest'
+        ? 'Not a manifest - this reference holds raw data (F3 downloads it)'
+        : /^HTTP 404/.test(err.message) ? 'Reference not found on this node' : err.message;
+      headerBox.setLine(2, `{red-fg}${blessed.escape(message)}{/red-fg}`);
+      screen.render();
+    }
+  })();
+}
+
+function closeUploadDetail() {
+  if (detailRefreshInterval) {
+    clearInterval(detailRefreshInterval);
+    detailRefreshInterval = null;
+  }
+  if (selectedUploadDetail) {
+    selectedUploadDetail.destroy();
+    selectedUploadDetail = null;
+    screen.render();
+  }
+}
+
+// Modal OK/Cancel dialog shared by all confirmations. Each of `fields`
+// ({ name, key, label, value }) takes one line above the buttons and is
+// changed with its key: booleans are checkboxes, fields with `values` cycle
+// through them and `input` fields are edited in a prompt (checked by
+// `validate`, which returns an error message). `format` turns a value into its
+// display text. onConfirm receives { name: value }. After a field changes,
+// onChange({ name: value }) may return a new { content, borderColor,
+// confirmDisabled }.
+function showConfirmDialog({ title, content, height = 12, width = 60, borderColor = 'cyan', confirmDisabled = false, fields = [], onChange = null }, onConfirm, onCancel = null) {
+  const dialog = blessed.box({
+    parent: screen,
+    top: 'center',
+    left: 'center',
+    width,
+    height: height + (fields.length ? fields.length + 1 : 0),
+    border: 'line',
+    label: ` {bold}${title}{/bold} `,
+    tags: true,
+    style: {
+      fg: 'white',
+      bg: 'black',
+      border: { fg: borderColor },
+    },
+  });
+  
+  const contentBox = blessed.box({
+    parent: dialog,
+    top: 1,
+    left: 2,
+    width: '100%-4',
+    height: height - 6,
+    tags: true,
+    content,
+    style: { fg: 'white', bg: 'black' },
+  });
+  
+  const fieldBox = blessed.box({
+    parent: dialog,
+    bottom: 3,
+    left: 2,
+    width: '100%-4',
+    height: fields.length,
+    tags: true,
+    style: { fg: 'white', bg: 'black' },
+  });
+  const renderFields = () => {
+    fieldBox.setContent(fields.map(field => {
+      const key = `{gray-fg}(${field.key.toUpperCase()}){/gray-fg}`;
+      if (typeof field.value === 'boolean') {
+        return `${field.value ? '{green-fg}[x]{/green-fg}' : '[ ]'} ${field.label} ${key}`;
+      }
+      const text = field.format ? field.format(field.value) : field.value;
+      return `    ${field.label}: {cyan-fg}${blessed.escape(String(text))}{/cyan-fg} ${key}`;
+    }).join('\n'));
+  };
+  renderFields();
+  
+  const okBtn = blessed.button({
+    parent: dialog,
+    bottom: 1,
+    left: 10,
+    width: 12,
+    height: 1,
+    content: '   OK   ',
+    style: {
+      fg: 'black',
+      bg: confirmDisabled ? 'gray' : 'green',
+      focus: { fg: 'black', bg: confirmDisabled ? 'gray' : 'cyan' },
+    },
+    keys: true,
+    mouse: true,
+  });
+  
+  const cancelBtn = blessed.button({
+    parent: dialog,
+    bottom: 1,
+    right: 10,
+    width: 12,
+    height: 1,
+    content: ' Cancel ',
+    style: {
+      fg: 'black',
+      bg: 'red',
+      focus: { fg: 'black', bg: 'cyan' },
+    },
+    keys: true,
+    mouse: true,
+  });
+  
+  if (confirmDisabled) {
+    cancelBtn.focus();
+  } else {
+    okBtn.focus();
+  }
+  screen.render();
+  
+  const getValues = () => Object.fromEntries(fields.map(field => [field.name, field.value]));
+  const update = () => {
+    renderFields();
+    const changed = onChange?.(getValues());
+    if (changed) {
+      if (changed.content !== undefined) contentBox.setContent(changed.content);
+      if (changed.borderColor) dialog.style.border.fg = changed.borderColor;
+      if (changed.confirmDisabled !== undefined) {
+        confirmDisabled = changed.confirmDisabled;
+        okBtn.style.bg = confirmDisabled ? 'gray' : 'green';
+        okBtn.style.focus.bg = confirmDisabled ? 'gray' : 'cyan';
+        if (confirmDisabled && screen.focused === okBtn) cancelBtn.focus();
+      }
+    }
+    screen.render();
+  };
+  
+  const close = () => {
+    dialog.destroy();
+    fileList.focus();
+    screen.render();
+  };
+  const confirm = () => {
+    if (confirmDisabled) return;
+    close();
+    onConfirm(getValues());
+  };
+  const cancel = () => { close(); if (onCancel) onCancel(); };
+  
+  okBtn.on('press', confirm);
+  cancelBtn.on('press', cancel);
+  
+  dialog.key(['escape'], cancel);
+  dialog.key(['enter'], confirm);
+  // Keys go to the focused button, not to the dialog
+  for (const field of fields) {
+    const change = () => {
+      if (field.input) {
+        const button = screen.focused;
+        const restore = () => {
+          button.focus();
+          update();
+        };
+        promptInput(field.label, field.value ?? '', (value) => {
+          const error = field.validate?.(value);
+          if (error) {
+            showMessage(error, 'error');
+          } else {
+            field.value = value;
+          }
+          restore();
+        }, { allowEmpty: true, onCancel: restore });
+        return;
+      }
+      if (field.values) {
+        field.value = field.values[(field.values.indexOf(field.value) + 1) % field.values.length];
+      } else {
+        field.value = !field.value;
+      }
+      update();
+    };
+    okBtn.key([field.key], change);
+    cancelBtn.key([field.key], change);
+  }
+  okBtn.key(['tab', 'right'], () => cancelBtn.focus());
+  cancelBtn.key(['tab', 'left'], () => okBtn.focus());
+}
+
+// Modal dialog with one button per choice; onChoose(value) runs for the pressed
+// button, Escape cancels
+function showChoiceDialog({ title, content, height = 12, width = 60, choices }, onChoose, onCancel = null) {
+  const dialog = blessed.box({
+    parent: screen,
+    top: 'center',
+    left: 'center',
+    width,
+    height,
+    border: 'line',
+    label: ` {bold}${title}{/bold} `,
+    tags: true,
+    style: {
+      fg: 'white',
+      bg: 'black',
+      border: { fg: 'cyan' },
+    },
+  });
+  
+  blessed.box({
+    parent: dialog,
+    top: 1,
+    left: 2,
+    width: '100%-4',
+    height: height - 6,
+    tags: true,
+    content,
+    style: { fg: 'white', bg: 'black' },
+  });
+  
+  const close = () => {
+    dialog.destroy();
+    fileList.focus();
+    screen.render();
+  };
+  
+  const buttonWidth = Math.floor((width - 4) / choices.length) - 2;
+  const buttons = choices.map((choice, i) => blessed.button({
+    parent: dialog,
+    bottom: 1,
+    left: 2 + i * (buttonWidth + 2),
+    width: buttonWidth,
+    height: 1,
+    content: ` ${choice.label}`,
+    style: {
+      fg: 'black',
+      bg: choice.color || 'green',
+      focus: { fg: 'black', bg: 'cyan' },
+    },
+    keys: true,
+    mouse: true,
+  }));
+  
+  buttons.forEach((button, i) => {
+    button.on('press', () => {
+      close();
+      if (choices[i].value !== null) {
+        onChoose(choices[i].value);
+      } else if (onCancel) {
+        onCancel();
+      }
+    });
+    button.key(['tab', 'right'], () => buttons[(i + 1) % buttons.length].focus());
+    button.key(['S-tab', 'left'], () => buttons[(i + buttons.length - 1) % buttons.length].focus());
+  });
+  dialog.key(['escape'], () => { close(); if (onCancel) onCancel(); });
+  
+  buttons[0].focus();
+  screen.render();
+}
+
+// Dialog fields for the options of every upload, named like the extra
+// options of enqueueUpload
+function getUploadOptionFields() {
+  return [
+    { name: 'pin', key: 'p', label: 'Pin on the node', value: Boolean(config.pinUploads) },
+    { name: 'encrypt', key: 'e', label: 'Encrypt (the reference holds the key)', value: false },
+    { name: 'deferred', key: 'd', label: 'Deferred (the node syncs in the background)', value: true },
+    {
+      name: 'redundancyLevel',
+      key: 'r',
+      label: 'Redundancy',
+      value: 0,
+      values: [...REDUNDANCY_LEVELS.keys()],
+      format: level => REDUNDANCY_LEVELS[level],
+    },
+  ];
+}
+
+// Index and error document fields of a directory or collection upload
+function getDocumentFields(files, name) {
+  const hasIndex = files.some(f => f.path === 'index.html' || f.path.endsWith('/index.html'));
+  const validate = (document) => !document || files.some(f => tarPath(f.path) === document)
+    ? null
+    : `${document} is not in ${name}`;
+  // Left undefined, uploadCollection picks index.html if there is one
+  return [{
+    name: 'indexDocument',
+    key: 'i',
+    label: 'Index document',
+    value: undefined,
+    input: true,
+    validate,
+    format: document => document === undefined ? (hasIndex ? 'index.html' : 'none') : document || 'none',
+  }, {
+    name: 'errorDocument',
+    key: 'o',
+    label: 'Error document',
+    value: '',
+    input: true,
+    validate,
+    format: document => document || 'none',
+  }];
+}
+
+// onConfirm receives the upload options picked in the dialog, named like the
+// extra options of enqueueUpload. `files` are those of a directory upload.
+function showUploadConfirmation(filePath, fileSize, onConfirm, isDirectory = false, fileCount = 0, files = [], capacity = null, excluded = null) {
+  const fileName = path.basename(filePath);
+  
+  const feed = isDirectory ? getFeedForPath(filePath) : null;
+  const feedLine = feed ? `{bold}Feed:{/bold}  {cyan-fg}${blessed.escape(feed.name)}{/cyan-fg} (updated after upload, so not encrypted)\n\n` : '';
+  const typesLine = isDirectory && files.length
+    ? `{bold}Types:{/bold}  ${blessed.escape(formatContentTypeSummary(files, 48))}\n\n`
+    : '';
+  const excludedLine = excluded?.count
+    ? `{bold}Excluded:{/bold}  {yellow-fg}${excluded.count} files (${formatSizeHuman(excluded.size)}) by ignore rules{/yellow-fg}\n\n`
+    : '';
+  
+  // The capacity is assessed again whenever the options change
+  const capacityFiles = isDirectory ? files : [{ path: fileName, size: fileSize }];
+  const formatContent = (capacity) => isDirectory
+    ? `{bold}Directory:{/bold}  ${fileName}\n\n` +
+      `{bold}Files:{/bold}  ${fileCount} files\n\n` +
+      `{bold}Total Size:{/bold}  ${formatSizeHuman(fileSize)}\n\n` +
+      typesLine +
+      excludedLine +
+      feedLine +
+      formatCapacityLines(capacity) +
+      `{bold}Name on Swarm:{/bold}  ${fileName}/`
+    : `{bold}File:{/bold}  ${fileName}\n\n` +
+      `{bold}Size:{/bold}  ${formatSizeHuman(fileSize)}\n\n` +
+      formatCapacityLines(capacity) +
+      `{bold}Name on Swarm:{/bold}  ${fileName}`;
+  
+  const fields = getUploadOptionFields();
+  if (isDirectory) {
+    fields.push(...getDocumentFields(files, fileName));
+  } else {
+    fields.push({
+      name: 'contentType',
+      key: 't',
+      label: 'Content type',
+      value: resolveContentType(filePath),
+      input: true,
+      validate: type => isValidContentType(type) ? null : `Not a content type: ${type}`,
+    });
+  }
+  
+  showConfirmDialog({
+    title: `Upload ${isDirectory ? 'Directory' : 'File'} to Swarm`,
+    content: formatContent(capacity),
+    height: (isDirectory ? 14 : 12) + (typesLine ? 2 : 0) + (excludedLine ? 2 : 0) + (feedLine ? 2 : 0) + getCapacityHeight(capacity),
+    ...getCapacityDialogState(capacity),
+    fields,
+    onChange: (options) => {
+      const updated = reassessUploadCapacity(capacity, capacityFiles, options);
+      return { content: formatContent(updated), ...getCapacityDialogState(updated) };
+    },
+  }, onConfirm);
+}
+
+// Lines taken by formatCapacityLines, leaving room for the warning that other
+// upload options may bring up
+function getCapacityHeight(capacity) {
+  return !capacity || capacity.error ? 2 : 4;
+}
 
-const leftHeader = blessed.box({
-  parent: leftBox,
-  top: 0,
-  left: 0,
-  width: '100%-2',
-  height: 1,
-  tags: true,
-  style: { fg: 'yellow', bg: 'blue' },
-});
+// Border colour and OK button of an upload dialog
+function getCapacityDialogState(capacity) {
+  return {
+    borderColor: capacity?.level === 'block' ? 'red' : capacity?.level === 'warn' ? 'yellow' : 'cyan',
+    confirmDisabled: capacity?.level === 'block',
+  };
+}
 
-const fileList = blessed.list({
-  parent: leftBox,
-  top: 1,
-  left: 0,
-  width: '100%-2',
-  height: '100%-3',
-  keys: true,
-  vi: true,
-  mouse: true,
-  scrollbar: {
-    ch: '|',
-    style: { bg: 'cyan' },
-  },
-  style: {
-    fg: colors.fg,
-    bg: colors.bg,
-    selected: { fg: 'black', bg: 'cyan', bold: true },
-  },
-});
+// Byte-level progress for uploads: returns percent plus a "rate, ETA" label,
+// or null when called again within 200ms (to keep screen redraws cheap)
+function createTransferMeter(total) {
+  const started = Date.now();
+  let lastUpdate = 0;
+  return (sent) => {
+    const now = Date.now();
+    if (now - lastUpdate < 200 && sent < total) return null;
+    lastUpdate = now;
+    const elapsed = (now - started) / 1000;
+    const rate = elapsed > 0 ? sent / elapsed : 0;
+    const percent = total > 0 ? Math.min(100, (sent / total) * 100) : 0;
+    const remaining = rate > 0 ? Math.max(0, (total - sent) / rate) : -1;
+    const eta = remaining < 0 ? '?' : remaining < 60 ? `${Math.ceil(remaining)}s` : formatDuration(remaining);
+    return { percent, label: `${formatSizeHuman(rate)}/s, ETA ${eta}` };
+  };
+}
 
-// Right panel - Uploads
-const rightBox = blessed.box({
-  parent: screen,
-  top: 1,
-  left: '50%',
-  width: '50%',
-  height: '100%-3',
-  label: ' {green-fg}Uploads{/green-fg} ',
-  tags: true,
-  border: { type: 'line' },
-  style: {
-    border: { fg: colors.border },
-    bg: colors.bg,
-  },
-});
+// Uploads are UI-agnostic: progress is reported through
+// onProgress({ phase, percent, sent, total, label }), the tag through onTag(uid),
+// and an upload can be aborted through `signal`. Both resolve with
+// { tagUid, reference } once the node has accepted the data. With
+// deferred = false the node only returns once the chunks are pushed to the network.
+async function uploadFile(filePath, { node = activeNode, batchId: uploadBatchId = batchId, pin = false, encrypt = false, contentType, redundancyLevel = 0, deferred = true, signal, onProgress = () => {}, onTag = () => {} } = {}) {
+  const fileName = path.basename(filePath);
+  const stat = fs.statSync(filePath);
+  const fileSize = stat.size;
+  const type = contentType || resolveContentType(filePath);
+  
+  try {
+    await checkBatchUsable(uploadBatchId, node);
+  } catch (err) {
+    logUpload(`REJECTED file="${fileName}" batch=${uploadBatchId} error="${err.message}"`);
+    throw err;
+  }
+  signal?.throwIfAborted();
+  
+  logUpload(`START file="${fileName}" size=${fileSize} path="${filePath}" type="${type}"${formatUploadOptions({ pin, encrypt, redundancyLevel, deferred })}`);
+  
+  try {
+    onProgress({ phase: 'Creating tag', percent: 0, sent: 0, total: fileSize });
+    const tagUid = await createTag(node);
+    onTag(tagUid);
+    
+    // Save initial metadata
+    startUploadMeta(tagUid, {
+      name: fileName,
+      date: new Date().toISOString(),
+      batchId: uploadBatchId,
+      reference: null,
+      size: fileSize,
+      sourcePath: path.resolve(filePath),
+      sourceMtime: stat.mtimeMs,
+      pinned: pin,
+      encrypted: encrypt,
+      contentType: type,
+      redundancyLevel,
+      deferred,
+    }, node.dbPath);
+    
+    const encodedName = encodeURIComponent(fileName);
+    const meter = createTransferMeter(fileSize);
+    
+    const result = await apiRequest('POST', `/bzz?name=${encodedName}`, {
+      headers: {
+        'Content-Type': type,
+        'Content-Length': fileSize,
+        'swarm-postage-batch-id': uploadBatchId,
+        'swarm-tag': tagUid.toString(),
+        'swarm-pin': String(pin),
+        'swarm-encrypt': String(encrypt),
+        'swarm-deferred-upload': String(deferred),
+        ...(redundancyLevel ? { 'swarm-redundancy-level': String(redundancyLevel) } : {}),
+      },
+      body: fs.createReadStream(filePath),
+      onProgress: (sent) => {
+        const progress = meter(sent);
+        if (progress) onProgress({ phase: 'Uploading', percent: progress.percent, sent, total: fileSize, label: progress.label });
+      },
+      signal,
+      node,
+    });
+    
+    // Save reference to metadata
+    saveUploadMeta(tagUid, { reference: result.reference }, node.dbPath);
+    logUpload(`COMPLETE file="${fileName}" reference=${formatLogReference(result.reference)} tag=${tagUid} node="${node.name}"`);
+    return { tagUid, reference: result.reference };
+  } catch (err) {
+    logUpload(`ERROR file="${fileName}" error="${err.message}"`);
+    throw err;
+  }
+}
 
-const rightHeader = blessed.box({
-  parent: rightBox,
-  top: 0,
-  left: 0,
-  width: '100%-2',
-  height: 1,
-  content: ' Name                 Sync   Progress',
-  style: { fg: 'yellow', bg: 'blue' },
-});
+async function uploadDirectory(dirPath, options = {}) {
+  return await uploadCollection(path.basename(dirPath), collectDirectoryFiles(dirPath), dirPath, options);
+}
 
-const tagList = blessed.list({
-  parent: rightBox,
-  top: 1,
-  left: 0,
-  width: '100%-2',
-  height: '100%-3',
-  keys: true,
-  vi: true,
-  mouse: true,
-  tags: true,
-  scrollbar: {
-    ch: '|',
-    style: { bg: 'green' },
-  },
-  style: {
-    fg: colors.fg,
-    bg: colors.bg,
-    selected: { fg: 'black', bg: 'green', bold: true },
-  },
-});
+// Marked entries of the file panel bundled into one collection; each entry
+// keeps its name at the root of the manifest
+async function uploadSelection(paths, name, options = {}) {
+  const files = [];
+  for (const entryPath of paths) {
+    const stat = fs.statSync(entryPath);
+    const entryName = path.basename(entryPath);
+    if (stat.isDirectory()) {
+      files.push(...collectDirectoryFiles(entryPath, entryName));
+    } else if (stat.isFile()) {
+      files.push({ path: entryName, fullPath: entryPath, size: stat.size, mtime: stat.mtimeMs });
+    }
+  }
+  return await uploadCollection(name, files, path.dirname(paths[0]), { ...options, selection: true });
+}
 
-const nodeErrorBox = blessed.box({
-  parent: rightBox,
-  top: 'center',
-  left: 'center',
-  width: 'shrink',
-  height: 'shrink',
-  padding: { left: 2, right: 2, top: 1, bottom: 1 },
-  tags: true,
-  hidden: true,
-  style: { fg: 'red', bg: 'black', border: { fg: 'red' } },
-  border: { type: 'line' },
-  content: '{bold}Swarm node unreachable{/bold}\n\n{gray-fg}Check if bee is running on 127.0.0.1:1633{/gray-fg}',
-});
+// indexDocument defaults to index.html if there is one; '' means none
+async function uploadCollection(dirName, filesList, dirPath, { node = activeNode, batchId: uploadBatchId = batchId, indexDocument, errorDocument, selection = false, pin = false, encrypt = false, redundancyLevel = 0, deferred = true, signal, onProgress = () => {}, onTag = () => {} } = {}) {
+  const totalSize = filesList.reduce((sum, f) => sum + f.size, 0);
+  const fileCount = filesList.length;
+  if (fileCount === 0) {
+    const error = new Error('Directory is empty');
+    error.retryable = false;
+    throw error;
+  }
+  for (const [what, document] of [['Index', indexDocument], ['Error', errorDocument]]) {
+    if (document && !filesList.some(f => tarPath(f.path) === document)) {
+      const error = new Error(`${what} document ${document} not found in ${dirName}`);
+      error.retryable = false;
+      throw error;
+    }
+  }
+  
+  try {
+    await checkBatchUsable(uploadBatchId, node);
+  } catch (err) {
+    logUpload(`REJECTED dir="${dirName}" batch=${uploadBatchId} error="${err.message}"`);
+    throw err;
+  }
+  signal?.throwIfAborted();
+  
+  logUpload(`START dir="${dirName}" files=${fileCount} size=${totalSize} path="${dirPath}"${formatUploadOptions({ pin, encrypt, redundancyLevel, deferred })}`);
+  
+  // Unless given explicitly, serve index.html if the directory contains one
+  const hasIndexHtml = filesList.some(f => f.path === 'index.html' || f.path.endsWith('/index.html'));
+  const indexDoc = indexDocument === undefined ? (hasIndexHtml ? 'index.html' : null) : indexDocument || null;
+  
+  try {
+    onProgress({ phase: 'Creating tag', percent: 0, sent: 0, total: totalSize });
+    const tagUid = await createTag(node);
+    onTag(tagUid);
+    
+    // Save initial metadata with file list
+    startUploadMeta(tagUid, {
+      name: dirName + '/',
+      date: new Date().toISOString(),
+      batchId: uploadBatchId,
+      reference: null,
+      isDirectory: true,
+      size: totalSize,
+      fileCount: fileCount,
+      files: filesList.map(f => ({ path: f.path, size: f.size, mtime: f.mtime, contentType: resolveContentType(f.fullPath) })),
+      sourcePath: path.resolve(dirPath),
+      ...(selection && { selection }),
+      indexDocument: indexDoc,
+      errorDocument: errorDocument || null,
+      pinned: pin,
+      encrypted: encrypt,
+      redundancyLevel,
+      deferred,
+    }, node.dbPath);
+    
+    const tarSize = getTarSize(filesList);
+    const meter = createTransferMeter(tarSize);
+    
+    // Upload tar with collection headers
+    const uploadHeaders = {
+      'Content-Type': 'application/x-tar',
+      'Content-Length': tarSize,
+      'swarm-postage-batch-id': uploadBatchId,
+      'swarm-tag': tagUid.toString(),
+      'swarm-collection': 'true',
+      'swarm-pin': String(pin),
+      'swarm-encrypt': String(encrypt),
+      'swarm-deferred-upload': String(deferred),
+    };
+    
+    if (indexDoc) {
+      uploadHeaders['swarm-index-document'] = indexDoc;
+    }
+    if (errorDocument) {
+      uploadHeaders['swarm-error-document'] = errorDocument;
+    }
+    if (redundancyLevel) {
+      uploadHeaders['swarm-redundancy-level'] = String(redundancyLevel);
+    }
+    
+    const result = await apiRequest('POST', `/bzz?name=${encodeURIComponent(dirName)}`, {
+      headers: uploadHeaders,
+      body: createTarStream(filesList),
+      onProgress: (sent) => {
+        const progress = meter(sent);
+        if (progress) onProgress({ phase: 'Uploading', percent: progress.percent, sent: Math.min(sent, totalSize), total: totalSize, label: progress.label });
+      },
+      signal,
+      node,
+    });
+    
+    // Save reference to metadata
+    saveUploadMeta(tagUid, { reference: result.reference }, node.dbPath);
+    logUpload(`COMPLETE dir="${dirName}" files=${fileCount} reference=${formatLogReference(result.reference)} tag=${tagUid} index=${indexDoc || 'none'}${errorDocument ? ` error=${errorDocument}` : ''} node="${node.name}"`);
+    return { tagUid, reference: result.reference };
+  } catch (err) {
+    logUpload(`ERROR dir="${dirName}" error="${err.message}"`);
+    throw err;
+  }
+}
 
-// Footer / Status bar
-const footer = blessed.box({
-  parent: screen,
-  bottom: 1,
-  left: 0,
-  width: '100%',
-  height: 1,
-  tags: true,
-  style: { fg: 'black', bg: 'cyan' },
-});
+// Free name in dir: "name", else "name (1).ext", "name (2).ext", ...
+function getUniquePath(dir, name) {
+  const ext = path.extname(name);
+  const base = name.slice(0, name.length - ext.length);
+  let candidate = path.join(dir, name);
+  for (let i = 1; fs.existsSync(candidate); i++) {
+    candidate = path.join(dir, `${base} (${i})${ext}`);
+  }
+  return candidate;
+}
 
-// Batch ID input area
-const batchBar = blessed.box({
-  parent: screen,
-  bottom: 0,
-  left: 0,
-  width: '100%',
-  height: 1,
-  tags: true,
-  style: { fg: 'white', bg: 'black' },
-});
+// Manifest paths come from the network - never let them leave the target dir
+function getSafeManifestPath(filePath) {
+  const parts = filePath.split('/').filter(Boolean);
+  if (parts.length === 0 || parts.some(p => p === '.' || p === '..' || p.includes('\0'))) {
+    const error = new Error(`Unsafe path in manifest: ${filePath}`);
+    error.retryable = false;
+    throw error;
+  }
+  return path.join(...parts);
+}
 
-// Active panel tracking
-let activePanel = 'left';
+// Downloads are UI-agnostic as well. Manifests (anything uploaded via /bzz) are
+// unpacked - a collection into a directory tree, a single-file manifest into
+// that file - and any other reference is saved as raw /bytes. Data is written
+// to a hidden ".part" name that is renamed once complete, so an interrupted
+// download leaves nothing behind. Resolves with { path, fileCount, size }.
+async function downloadReference(reference, destDir, { node = activeNode, name, signal, onProgress = () => {} } = {}) {
+  if (!isValidReference(reference)) {
+    const error = new Error('Reference must be 64 or 128 hex characters');
+    error.retryable = false;
+    throw error;
+  }
+  reference = reference.toLowerCase();
+  const partPath = path.join(destDir, `.swarm-${reference.slice(0, 16)}.part`);
+  const fallbackName = name || `swarm-${reference.slice(0, 12)}`;
+  
+  const fetchTo = async (ref, target, onBytes) => {
+    await apiRequest('GET', `/bytes/${ref}`, { node, signal, sink: fs.createWriteStream(target), onProgress: onBytes });
+    return fs.statSync(target).size;
+  };
+  // Progress without a known total, at most every 200ms like createTransferMeter
+  let lastUpdate = 0;
+  const reportProgress = (progress) => {
+    const now = Date.now();
+    if (now - lastUpdate < 200) return;
+    lastUpdate = now;
+    onProgress(progress);
+  };
+  const fileProgress = (phase) => {
+    let meter = null;
+    return (received, length) => {
+      if (!length) {
+        reportProgress({ phase, percent: 0, label: formatSizeHuman(received) });
+        return;
+      }
+      meter ||= createTransferMeter(length);
+      const progress = meter(received);
+      if (progress) onProgress({ phase, percent: progress.percent, sent: received, total: length, label: progress.label });
+    };
+  };
+  
+  logUpload(`DOWNLOAD START reference=${formatLogReference(reference)} dest="${destDir}"`);
+  try {
+    fs.rmSync(partPath, { recursive: true, force: true });
+    
+    // The root is either a manifest node or already the content itself
+    onProgress({ phase: 'Resolving', percent: 0 });
+    let rootSize;
+    try {
+      rootSize = await fetchTo(reference, partPath, fileProgress('Downloading'));
+    } catch (err) {
+      if (!/^HTTP 404/.test(err.message)) throw err;
+      const error = new Error(`Reference ${reference.slice(0, 12)}... not found on node "${node.name}"`);
+      error.retryable = false;
+      throw error;
+    }
+    let root = null;
+    if (rootSize <= MANIFEST_MAX_NODE_SIZE) {
+      try {
+        root = parseMantarayNode(fs.readFileSync(partPath));
+      } catch {}
+    }
+    
+    let result;
+    if (!root) {
+      const target = getUniquePath(destDir, fallbackName);
+      fs.renameSync(partPath, target);
+      result = { path: target, fileCount: 1, size: rootSize };
+    } else {
+      fs.rmSync(partPath, { force: true });
+      onProgress({ phase: 'Reading manifest', percent: 0 });
+      const { files, rootMetadata } = await listManifestFiles(root, { node, signal });
+      if (files.length === 0) {
+        const error = new Error('Manifest contains no files');
+        error.retryable = false;
+        throw error;
+      }
+      
+      const single = files.length === 1 && !files[0].path.includes('/') &&
+        (rootMetadata['website-index-document'] || files[0].path) === files[0].path;
+      if (single) {
+        const fileName = path.basename(files[0].metadata.Filename || files[0].path);
+        const size = await fetchTo(files[0].reference, partPath, fileProgress('Downloading'));
+        const target = getUniquePath(destDir, name || fileName);
+        fs.renameSync(partPath, target);
+        result = { path: target, fileCount: 1, size };
+      } else {
+        let size = 0;
+        fs.mkdirSync(partPath);
+        for (const [i, file] of files.entries()) {
+          const target = path.join(partPath, getSafeManifestPath(file.path));
+          fs.mkdirSync(path.dirname(target), { recursive: true });
+          size += await fetchTo(file.reference, target, (received) => {
+            reportProgress({ phase: 'Downloading', percent: (i / files.length) * 100, label: `${i + 1}/${files.length} files, ${formatSizeHuman(size + received)}` });
+          });
+        }
+        const target = getUniquePath(destDir, fallbackName);
+        fs.renameSync(partPath, target);
+        result = { path: target, fileCount: files.length, size };
+      }
+    }
+    
+    logUpload(`DOWNLOAD COMPLETE reference=${formatLogReference(reference)} path="${result.path}" files=${result.fileCount} size=${result.size}`);
+    return result;
+  } catch (err) {
+    try {
+      fs.rmSync(partPath, { recursive: true, force: true });
+    } catch {}
+    logUpload(`DOWNLOAD ERROR reference=${formatLogReference(reference)} error="${err.message}"`);
+    throw err;
+  }
+}
 
-function updateBatchBar() {
-  const batchDisplay = batchId ? `{green-fg}${batchId.slice(0, 32)}...{/green-fg}` : '{red-fg}NOT SET (press F2){/red-fg}';
-  batchBar.setContent(` Batch: ${batchDisplay}`);
+// Upload queue
+//
+// F5 adds jobs here instead of uploading right away. Jobs are persisted in
+// state/queue.json and run `concurrency` at a time; failed attempts are
+// retried with exponential backoff. Jobs that were running when
+// swarm-commander exited are started again on the next launch.
+const queuePath = path.join(stateDir, 'queue.json');
+const QUEUE_DEFAULTS = { concurrency: 2, maxAttempts: 5, retryDelay: 5000, maxRetryDelay: 300000 };
+const FINISHED_JOBS_KEPT = 50;
+const FINISHED_STATUSES = ['done', 'failed', 'cancelled'];
+
+function getQueueSettings() {
+  return { ...QUEUE_DEFAULTS, ...(config.queue || {}) };
 }
 
-function getFileIcon(entry) {
-  if (entry.isDir) return '[D]';
-  const ext = path.extname(entry.name).toLowerCase();
-  if (['.jpg', '.jpeg', '.png', '.gif', '.webp', '.svg', '.bmp', '.ico'].includes(ext)) return '[I]';
-  if (['.mp3', '.wav', '.flac', '.ogg', '.aac', '.m4a'].includes(ext)) return '[A]';
-  if (['.mp4', '.mkv', '.avi', '.mov', '.webm', '.wmv'].includes(ext)) return '[V]';
-  if (['.js', '.ts', '.py', '.rs', '.go', '.c', '.cpp', '.h', '.java', '.rb', '.sh'].includes(ext)) return '[C]';
-  if (['.json', '.yaml', '.yml', '.toml', '.xml', '.ini', '.conf'].includes(ext)) return '[~]';
-  if (['.md', '.txt', '.doc', '.docx', '.pdf', '.rtf'].includes(ext)) return '[T]';
-  if (['.zip', '.tar', '.gz', '.rar', '.7z', '.bz2', '.xz'].includes(ext)) return '[Z]';
-  return '   ';
+function loadQueue() {
+  try {
+    if (fs.existsSync(queuePath)) {
+      const jobs = JSON.parse(fs.readFileSync(queuePath, 'utf8'));
+      // Interrupted uploads start over
+      return jobs.map(job => job.status === 'running' ? { ...job, status: 'queued' } : job);
+    }
+  } catch {}
+  return [];
+}
+
+function saveQueue() {
+  const finished = uploadQueue.filter(job => FINISHED_STATUSES.includes(job.status));
+  if (finished.length > FINISHED_JOBS_KEPT) {
+    const dropped = new Set(finished.slice(0, finished.length - FINISHED_JOBS_KEPT));
+    uploadQueue = uploadQueue.filter(job => !dropped.has(job));
+  }
+  const persisted = uploadQueue.map(({ progress, ...job }) => job);
+  try {
+    fs.writeFileSync(queuePath, JSON.stringify(persisted, null, 2));
+    // Finished encrypted jobs hold their key-bearing reference, see writeUploadsDb
+    if (persisted.some(job => job.encrypt)) fs.chmodSync(queuePath, 0o600);
+  } catch {}
+}
+
+let uploadQueue = loadQueue();
+// Job id -> AbortController of the running attempt
+const runningJobs = new Map();
+
+function isRetryableError(err) {
+  if (err.retryable === false) return false;
+  if (['ENOENT', 'EACCES', 'EISDIR', 'ENOTDIR'].includes(err.code)) return false;
+  const status = Number(/^HTTP (\d{3})/.exec(err.message)?.[1]);
+  if (status) return status >= 500 || status === 408 || status === 429;
+  return true;
+}
+
+function createJobId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
 }
 
-function formatSize(bytes) {
-  if (bytes === 0) return '     0 B';
-  const k = 1024;
-  const sizes = ['B', 'K', 'M', 'G', 'T'];
-  const i = Math.floor(Math.log(bytes) / Math.log(k));
-  const size = (bytes / Math.pow(k, i)).toFixed(i > 0 ? 1 : 0);
-  return size.padStart(6) + ' ' + sizes[i];
+function addJob(job) {
+  uploadQueue.push(job);
+  saveQueue();
+  processQueue();
+  renderQueue();
+  return job;
 }
 
-function formatSizeHuman(bytes) {
-  if (bytes === 0) return '0 B';
-  const k = 1024;
-  const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
-  const i = Math.floor(Math.log(bytes) / Math.log(k));
-  return (bytes / Math.pow(k, i)).toFixed(2) + ' ' + sizes[i];
+// type is 'file', 'directory' or 'collection' (several paths bundled into one
+// manifest, given as extra.paths and named extra.name); extra.pin pins it on the
+// node and extra.encrypt uploads it encrypted. The other upload options
+// (contentType, indexDocument, errorDocument, redundancyLevel, deferred) are
+// kept as given.
+function enqueueUpload(type, targetPath, extra = {}) {
+  if (!batchId) {
+    showMessage('Batch ID not set! Press F2 to set it.', 'error');
+    return null;
+  }
+  
+  const baseName = extra.name || path.basename(targetPath);
+  const feed = type === 'directory' ? getFeedForPath(targetPath) : null;
+  if (feed && extra.encrypt) {
+    showMessage(`${baseName} updates feed "${feed.name}", which would make the decryption key public - upload it unencrypted`, 'error');
+    return null;
+  }
+  const job = {
+    id: createJobId(),
+    type,
+    path: targetPath,
+    ...(extra.paths ? { paths: extra.paths } : {}),
+    ...(feed ? { feed: feed.name } : {}),
+    ...(extra.pin ? { pin: true } : {}),
+    ...(extra.encrypt ? { encrypt: true } : {}),
+    ...(extra.contentType ? { contentType: extra.contentType } : {}),
+    ...(extra.indexDocument !== undefined ? { indexDocument: extra.indexDocument } : {}),
+    ...(extra.errorDocument ? { errorDocument: extra.errorDocument } : {}),
+    ...(extra.redundancyLevel ? { redundancyLevel: extra.redundancyLevel } : {}),
+    ...(extra.deferred === false ? { deferred: false } : {}),
+    name: baseName + (type === 'file' ? '' : '/'),
+    node: activeNode.name,
+    batchId,
+    status: 'queued',
+    attempts: 0,
+    createdAt: new Date().toISOString(),
+  };
+  logUpload(`QUEUED ${type}="${job.name}" path="${targetPath}"${job.paths ? ` entries=${job.paths.length}` : ''}${feed ? ` feed="${feed.name}"` : ''} job=${job.id}`);
+  return addJob(job);
 }
 
-function createProgressBar(percent, width = 30) {
-  const filled = Math.round((percent / 100) * width);
-  const empty = width - filled;
-  return '█'.repeat(filled) + '░'.repeat(empty);
+// Downloads run through the queue as well and are saved to the directory the
+// file panel showed when they were queued, as `saveAs` if given
+function enqueueDownload(reference, saveAs = null) {
+  if (!isValidReference(reference)) {
+    showMessage('Reference must be 64 or 128 hex characters', 'error');
+    return null;
+  }
+  
+  const job = {
+    id: createJobId(),
+    type: 'download',
+    reference: reference.toLowerCase(),
+    path: currentDir,
+    saveAs,
+    name: saveAs || `${reference.slice(0, 16)}...`,
+    node: activeNode.name,
+    status: 'queued',
+    attempts: 0,
+    createdAt: new Date().toISOString(),
+  };
+  logUpload(`QUEUED download="${formatLogReference(job.reference)}" dest="${currentDir}" job=${job.id}`);
+  return addJob(job);
 }
 
-function loadDirectory(dir) {
+// Starts due jobs until the concurrency limit is reached
+function processQueue() {
+  const { concurrency } = getQueueSettings();
+  const now = Date.now();
+  for (const job of uploadQueue) {
+    if (runningJobs.size >= concurrency) break;
+    const due = job.status === 'queued' || (job.status === 'retrying' && (job.nextAttemptAt || 0) <= now);
+    if (due && !runningJobs.has(job.id)) {
+      runJob(job);
+    }
+  }
+}
+
+async function runJob(job) {
+  const controller = new AbortController();
+  runningJobs.set(job.id, controller);
+  job.status = 'running';
+  job.attempts += 1;
+  job.error = null;
+  job.progress = { phase: 'Starting', percent: 0 };
+  saveQueue();
+  renderQueue();
+  
+  const settings = getQueueSettings();
   try {
-    currentDir = path.resolve(dir);
-    const entries = [];
-    
-    // Add parent directory entry
-    if (currentDir !== '/') {
-      entries.push({ name: '..', isDir: true, size: 0 });
+    if (!config.nodes[job.node]) {
+      const error = new Error(`Node profile "${job.node}" no longer exists`);
+      error.retryable = false;
+      throw error;
+    }
+    const node = job.node === activeNode.name ? activeNode : createNodeContext(job.node);
+    const options = {
+      node,
+      batchId: job.batchId,
+      pin: Boolean(job.pin),
+      encrypt: Boolean(job.encrypt),
+      contentType: job.contentType,
+      indexDocument: job.indexDocument,
+      errorDocument: job.errorDocument,
+      redundancyLevel: job.redundancyLevel || 0,
+      deferred: job.deferred !== false,
+      signal: controller.signal,
+      onTag: (uid) => {
+        job.tagUid = uid;
+        saveQueue();
+      },
+      onProgress: (progress) => {
+        job.progress = progress;
+        renderQueue();
+      },
+    };
+    if (job.type === 'download') {
+      const download = await downloadReference(job.reference, job.path, { ...options, name: job.saveAs });
+      job.status = 'done';
+      job.savedPath = download.path;
+      job.finishedAt = new Date().toISOString();
+      showMessage(`Downloaded: ${job.name} → ${path.basename(download.path)} (${download.fileCount} files, ${formatSizeHuman(download.size)})`, 'success');
+      if (job.path === currentDir) refreshDirectory();
+      return;
     }
     
-    const items = fs.readdirSync(currentDir, { withFileTypes: true });
-    
-    // Sort: directories first, then files, alphabetically
-    const dirs = items.filter(i => i.isDirectory()).sort((a, b) => a.name.localeCompare(b.name));
-    const files = items.filter(i => i.isFile()).sort((a, b) => a.name.localeCompare(b.name));
-    
-    for (const item of [...dirs, ...files]) {
-      try {
-        const fullPath = path.join(currentDir, item.name);
-        const stat = fs.statSync(fullPath);
-        entries.push({
-          name: item.name,
-          isDir: item.isDirectory(),
-          size: stat.size,
-          path: fullPath,
-        });
-      } catch {
-        // Skip files we can't stat
+    if (!job.reference) {
+      let result;
+      if (job.type === 'directory') {
+        result = await uploadDirectory(job.path, options);
+      } else if (job.type === 'collection') {
+        result = await uploadSelection(job.paths, job.name.replace(/\/$/, ''), options);
+      } else {
+        result = await uploadFile(job.path, options);
       }
+      job.reference = result.reference;
+      saveQueue();
     }
     
-    // Update header with current path
-    const displayPath = currentDir.replace(homedir(), '~');
-    leftHeader.setContent(` ${displayPath}`);
-    
-    // Build list items
-    const listItems = entries.map(e => {
-      const icon = getFileIcon(e);
-      const size = e.isDir ? '  <DIR>' : formatSize(e.size);
-      const maxNameLen = 28;
-      const name = e.name.length > maxNameLen ? e.name.slice(0, maxNameLen - 3) + '...' : e.name.padEnd(maxNameLen);
-      return `${icon} ${name} ${size}`;
-    });
-    
-    fileList.setItems(listItems);
-    fileList.entries = entries;
-    fileList.select(0);
+    // Runs again on its own when only the feed update failed
+    if (job.feed && job.feedIndex === undefined) {
+      options.onProgress({ phase: 'Updating feed', percent: 100 });
+      const update = await publishToFeed(job.feed, job.reference, options);
+      job.feedIndex = update.index;
+      saveUploadMeta(job.tagUid, { feed: job.feed, feedManifest: update.manifest, feedIndex: update.index }, node.dbPath);
+    }
     
-    updateFooter();
-    screen.render();
+    job.status = 'done';
+    job.finishedAt = new Date().toISOString();
+    showMessage(`Uploaded: ${job.name} → ${job.reference.slice(0, 32)}...${job.feed ? ` (feed "${job.feed}" updated)` : ''}`, 'success');
+    if (node === activeNode) {
+      renderFileList();
+      updateFooter();
+    }
   } catch (err) {
-    showMessage(`Error: ${err.message}`, 'error');
+    if (controller.signal.aborted) {
+      // Paused or cancelled - the action already set the status
+    } else if (job.attempts < settings.maxAttempts && isRetryableError(err)) {
+      const delay = Math.min(settings.maxRetryDelay, settings.retryDelay * Math.pow(2, job.attempts - 1));
+      job.status = 'retrying';
+      job.nextAttemptAt = Date.now() + delay;
+      job.error = err.message;
+      logUpload(`RETRY job=${job.id} attempt=${job.attempts} delay=${delay}ms error="${err.message}"`);
+    } else {
+      job.status = 'failed';
+      job.error = err.message;
+      job.finishedAt = new Date().toISOString();
+      showMessage(`${job.type === 'download' ? 'Download' : 'Upload'} failed: ${job.name}: ${err.message}`, 'error');
+    }
+  } finally {
+    runningJobs.delete(job.id);
+    if (job.status !== 'done') job.progress = null;
+    saveQueue();
+    renderQueue();
+    processQueue();
   }
 }
 
-function updateFooter() {
-  const selected = fileList.entries?.[fileList.selected];
-  if (selected) {
-    const info = selected.isDir ? 'Directory' : `File: ${formatSize(selected.size).trim()}`;
-    footer.setContent(` ${selected.name}  │  ${info}  │  ${fileList.entries.length - 1} items`);
+function pauseJob(job) {
+  if (job.status === 'running') {
+    job.status = 'paused';
+    // The attempt was interrupted by the user, it should not count
+    job.attempts = Math.max(0, job.attempts - 1);
+    runningJobs.get(job.id)?.abort();
+  } else if (job.status === 'queued' || job.status === 'retrying') {
+    job.status = 'paused';
+  } else {
+    return;
   }
+  logUpload(`PAUSED job=${job.id}`);
+  saveQueue();
+  renderQueue();
 }
 
-async function refreshTagList() {
+function resumeJob(job) {
+  if (job.status !== 'paused') return;
+  job.status = 'queued';
+  logUpload(`RESUMED job=${job.id}`);
+  saveQueue();
+  processQueue();
+  renderQueue();
+}
+
+function cancelJob(job) {
+  if (FINISHED_STATUSES.includes(job.status)) return;
+  const wasRunning = job.status === 'running';
+  job.status = 'cancelled';
+  job.finishedAt = new Date().toISOString();
+  if (wasRunning) runningJobs.get(job.id)?.abort();
+  logUpload(`CANCELLED job=${job.id}`);
+  saveQueue();
+  renderQueue();
+}
+
+function retryJob(job) {
+  if (job.status !== 'failed' && job.status !== 'cancelled') return;
+  job.status = 'queued';
+  job.attempts = 0;
+  job.error = null;
+  job.finishedAt = null;
+  saveQueue();
+  processQueue();
+  renderQueue();
+}
+
+function clearFinishedJobs() {
+  uploadQueue = uploadQueue.filter(job => !FINISHED_STATUSES.includes(job.status));
+  saveQueue();
+  renderQueue();
+}
+
+const jobStatusColors = {
+  queued: 'white',
+  running: 'cyan',
+  paused: 'yellow',
+  retrying: 'yellow',
+  failed: 'red',
+  done: 'green',
+  cancelled: 'gray',
+};
+
+function formatJobRow(job) {
+  const color = jobStatusColors[job.status] || 'white';
+  const status = job.status.padEnd(9);
+  const name = blessed.escape(`${job.type === 'download' ? '↓ ' : ''}${job.name}`.slice(0, 20)).padEnd(20);
+  let detail = '';
+  if (job.status === 'running' && job.progress) {
+    const percent = job.progress.percent || 0;
+    detail = `${createProgressBar(percent, 10)} ${percent.toFixed(0).padStart(3)}% ${job.progress.label || job.progress.phase}`;
+  } else if (job.status === 'retrying') {
+    const wait = Math.max(0, Math.ceil(((job.nextAttemptAt || 0) - Date.now()) / 1000));
+    detail = `retry #${job.attempts + 1} in ${wait}s`;
+  } else if (job.status === 'failed') {
+    detail = blessed.escape((job.error || '').slice(0, 40));
+  } else if (job.status === 'done' && job.savedPath) {
+    detail = blessed.escape(`→ ${path.basename(job.savedPath)}`.slice(0, 40));
+  } else if (job.status === 'done' && job.reference) {
+    detail = `${job.reference.slice(0, 16)}...`;
+  }
+  return `{${color}-fg}${status} ${name} ${detail}{/${color}-fg}`;
+}
+
+function renderQueue() {
+  updateRightLabel();
+  if (rightView === 'queue') {
+    const items = uploadQueue.length
+      ? uploadQueue.map(formatJobRow)
+      : ['  {gray-fg}(queue is empty - press F5 in the file panel){/gray-fg}'];
+    const prevSelected = queueList.selected;
+    queueList.setItems(items);
+    queueList.select(Math.min(prevSelected, items.length - 1));
+  }
+  screen.render();
+}
+
+function getRightList() {
+  return { queue: queueList, pins: pinList, history: historyList }[rightView] || tagList;
+}
+
+function showRightView(view) {
+  rightView = view;
+  closeUploadDetail();
+  tagList.hide();
+  queueList.hide();
+  pinList.hide();
+  historyList.hide();
+  nodeErrorBox.hide();
+  getRightList().show();
+  if (view === 'queue') {
+    rightHeader.setContent(` Status    Name                 Progress (concurrency ${getQueueSettings().concurrency})`);
+  } else if (view === 'pins') {
+    rightHeader.setContent(' Name                 Reference       Stored  Integrity');
+  } else if (view === 'history') {
+    rightHeader.setContent(' Name              Date            Size Reference Batch  Sync');
+  } else {
+    rightHeader.setContent(' Name                 Sync   Progress');
+  }
+  if (activePanel === 'right') {
+    getRightList().focus();
+  }
+  if (view !== 'pins') pinCheck?.abort();
+  renderQueue();
+  if (view === 'uploads') refreshTagList();
+  if (view === 'pins') refreshPinList();
+  if (view === 'history') refreshHistoryList();
+}
+
+// Pins panel
+//
+// Lists everything the node has pinned. Opening it also runs the node's
+// integrity check over all pins, which yields their sizes (chunks stored)
+// and whether any chunk is missing or corrupt.
+const pinChecks = new Map();
+let pinCheck = null;
+
+function formatPinRow(reference, names) {
+  const name = blessed.escape((names[reference] || '-').slice(0, 20)).padEnd(20);
+  const check = pinChecks.get(reference);
+  let size = '?';
+  let integrity = '{gray-fg}not checked{/gray-fg}';
+  if (check === 'checking') {
+    integrity = '{yellow-fg}checking...{/yellow-fg}';
+  } else if (check?.error) {
+    integrity = `{red-fg}${blessed.escape(check.error.slice(0, 30))}{/red-fg}`;
+  } else if (check) {
+    // Space the chunks take on the node, intermediate and manifest chunks
+    // included - not the size of the content
+    size = formatSizeHuman(check.total * CHUNK_SIZE);
+    integrity = check.missing || check.invalid
+      ? `{red-fg}${check.missing} missing, ${check.invalid} invalid{/red-fg}`
+      : `{green-fg}ok (${check.total} chunks){/green-fg}`;
+  }
+  return `${name} ${reference.slice(0, 16)}… ${size.padStart(9)}  ${integrity}`;
+}
+
+function renderPinList() {
+  if (rightView !== 'pins') return;
+  const pins = pinList.pins || [];
+  const names = {};
+  for (const meta of Object.values(loadUploadsDb())) {
+    if (meta.reference) names[meta.reference] = meta.name;
+  }
+  const items = pins.length
+    ? pins.map(reference => formatPinRow(reference, names))
+    : ['  {gray-fg}(nothing pinned - P pins an upload, or tick "Pin" when uploading){/gray-fg}'];
+  const prevSelected = pinList.selected;
+  pinList.setItems(items);
+  pinList.select(Math.min(prevSelected, items.length - 1));
+  screen.render();
+}
+
+// Checks one pin, or all of them when no reference is given
+async function runPinCheck(reference = null) {
+  const node = activeNode;
+  const controller = new AbortController();
+  if (!reference) {
+    pinCheck?.abort();
+    pinCheck = controller;
+  }
+  for (const ref of reference ? [reference] : pinList.pins || []) pinChecks.set(ref, 'checking');
+  renderPinList();
   try {
-    const tags = await getAllTags();
-    // Sort by uid descending (newest first)
-    tags.sort((a, b) => b.uid - a.uid);
-    
-    const items = tags.map(tag => {
-      const meta = getUploadMeta(tag.uid);
-      const name = meta?.name ? meta.name.slice(0, 20).padEnd(20) : '(unknown)'.padEnd(20);
-      const percent = tag.split > 0 ? Math.round((tag.synced / tag.split) * 100) : 0;
-      const progress = `${String(percent).padStart(3)}%`;
-      
-      // Color the row based on status
-      let color = '';
-      let endColor = '';
-      if (tag.split === 0) {
-        color = '{gray-fg}';
-        endColor = '{/gray-fg}';
-      } else if (tag.synced >= tag.split) {
-        color = '{green-fg}';
-        endColor = '{/green-fg}';
-      } else if (tag.sent > 0 || tag.synced > 0) {
-        color = '{cyan-fg}';
-        endColor = '{/cyan-fg}';
-      } else if (tag.seen > 0 || tag.stored > 0) {
-        color = '{yellow-fg}';
-        endColor = '{/yellow-fg}';
-      }
-      
-      return `${color}${name} ${progress} ${tag.synced}/${tag.split}${endColor}`;
+    await checkPins(reference, {
+      node,
+      signal: controller.signal,
+      onResult: (result) => {
+        pinChecks.set(result.reference, result);
+        renderPinList();
+      },
     });
-    
-    const prevSelected = tagList.selected;
-    const prevScroll = tagList.childBase;
-    tagList.setItems(items);
-    tagList.tags = tags;
-    tagList.select(Math.min(prevSelected, items.length - 1));
-    tagList.childBase = Math.min(prevScroll, Math.max(0, items.length - tagList.height + 2));
-    nodeErrorBox.hide();
-    screen.render();
+    // Pins the node did not report on
+    for (const [ref, check] of pinChecks) {
+      if (check === 'checking' && (!reference || ref === reference)) pinChecks.set(ref, { error: 'no result' });
+    }
   } catch (err) {
-    nodeErrorBox.show();
+    if (controller.signal.aborted) return;
+    for (const [ref, check] of pinChecks) {
+      if (check === 'checking') pinChecks.set(ref, { error: err.message });
+    }
+  }
+  renderPinList();
+}
+
+async function refreshPinList() {
+  const node = activeNode;
+  pinList.setItems(['  {yellow-fg}Loading pins...{/yellow-fg}']);
+  screen.render();
+  try {
+    const pins = await getPins(node);
+    if (node !== activeNode || rightView !== 'pins') return;
+    pinList.pins = pins;
+    pinChecks.clear();
+    renderPinList();
+    if (pins.length > 0) runPinCheck();
+  } catch (err) {
+    if (node !== activeNode) return;
+    pinList.pins = [];
+    pinList.setItems([`  {red-fg}Failed to load pins: ${blessed.escape(err.message.slice(0, 60))}{/red-fg}`]);
     screen.render();
   }
 }
 
-let detailRefreshInterval = null;
+// History panel
+//
+// Every upload this node has a record of (see buildUploadHistory), with live
+// sync progress where the node still has the tag. S changes the order, F the
+// filter and / searches names and references.
+const byUploadDate = (a, b) => (b.meta.date || '').localeCompare(a.meta.date || '');
+const HISTORY_SYNC_ORDER = ['failed', 'unsynced', 'unknown', 'synced'];
+const HISTORY_ORDERS = {
+  date: byUploadDate,
+  name: (a, b) => (a.meta.name || '').localeCompare(b.meta.name || '') || byUploadDate(a, b),
+  size: (a, b) => (b.size ?? -1) - (a.size ?? -1) || byUploadDate(a, b),
+  sync: (a, b) => HISTORY_SYNC_ORDER.indexOf(getHistoryOutcome(a).status) - HISTORY_SYNC_ORDER.indexOf(getHistoryOutcome(b).status) ||
+    byUploadDate(a, b),
+};
+const HISTORY_FILTERS = ['all', 'synced', 'unsynced', 'failed'];
+const historyView = { order: 'date', filter: 'all' };
+const HISTORY_REFRESH_INTERVAL = 5000;
 
-function renderUploadDetailContent(tag, meta) {
-  const percent = tag.split > 0 ? Math.round((tag.synced / tag.split) * 100) : 0;
-  const progressBar = createProgressBar(percent, 25);
-  
-  const isDir = meta?.isDirectory;
-  const typeLabel = isDir ? 'Directory' : 'File';
-  const filesInfo = isDir && meta?.fileCount ? `{bold}Files:{/bold}    ${meta.fileCount} files\n\n` : '';
-  const indexInfo = meta?.indexDocument ? `{bold}Index:{/bold}    {green-fg}${meta.indexDocument}{/green-fg}\n\n` : '';
-  const listHint = (isDir && meta?.files?.length) 
-    ? `{gray-fg}L: list files | Escape: close{/gray-fg}` 
-    : `{gray-fg}Escape to close{/gray-fg}`;
-  
-  return (
-    `{bold}{cyan-fg}Upload Details{/cyan-fg}{/bold}\n` +
-    `${'─'.repeat(40)}\n\n` +
-    `{bold}Type:{/bold}     ${typeLabel}\n\n` +
-    `{bold}Name:{/bold}     ${meta?.name || '(unknown)'}\n\n` +
-    filesInfo +
-    indexInfo +
-    `{bold}Hash:{/bold}     ${meta?.reference || '(pending)'}\n\n` +
-    `{bold}Date:{/bold}     ${meta?.date || '(unknown)'}\n\n` +
-    `{bold}Batch:{/bold}    ${meta?.batchId?.slice(0, 32) || '(unknown)'}...\n\n` +
-    `{bold}Tag UID:{/bold}  ${tag.uid}\n\n` +
-    `{bold}Progress:{/bold} {cyan-fg}${progressBar}{/cyan-fg} ${percent}%\n` +
-    `           ${tag.synced} / ${tag.split} chunks synced\n\n` +
-    `${'─'.repeat(40)}\n` +
-    listHint
-  );
+// status is what the filter goes by
+function getHistoryOutcome(entry) {
+  const { tag, meta } = entry;
+  if (!meta.reference) {
+    const running = uploadQueue.some(job => job.node === activeNode.name && job.tagUid === entry.tagUid && job.status === 'running');
+    if (running) return { status: 'unsynced', label: 'uploading', color: 'cyan' };
+    return entry.failed ? { status: 'failed', label: 'failed', color: 'red' } : { status: 'failed', label: 'incomplete', color: 'yellow' };
+  }
+  if (tag && isTagSynced(tag)) return { status: 'synced', label: 'synced', color: 'green' };
+  if (tag) return { status: 'unsynced', label: `${getSyncPercent(tag)}% synced`, color: 'cyan' };
+  if (meta.syncedAt) return { status: 'synced', label: 'synced', color: 'green' };
+  return { status: 'unknown', label: entry.logged ? 'log only' : 'tag gone', color: 'gray' };
+}
+
+function formatHistoryState() {
+  const filter = historyView.filter === 'all' ? '' : `, ${historyView.filter} only`;
+  const offline = historyList.tagError ? ', node unreachable' : '';
+  return `by ${historyView.order}${filter}${offline}`;
+}
+
+function formatHistoryRow(entry) {
+  const { meta } = entry;
+  const outcome = getHistoryOutcome(entry);
+  const name = blessed.escape((meta.name || '(unknown)').slice(0, 18)).padEnd(18);
+  const date = (meta.date || '').slice(0, 10).padEnd(10);
+  const size = (entry.size === null ? '-' : formatSizeHuman(entry.size)).padStart(9);
+  const reference = meta.reference ? `${meta.reference.slice(0, 8)}…` : '-'.padEnd(9);
+  const batch = (meta.batchId || '-').slice(0, 6).padEnd(6);
+  return `${name} ${date} ${size} ${reference} ${batch} {${outcome.color}-fg}${outcome.label}{/${outcome.color}-fg}`;
 }
 
-function showUploadDetail(tag) {
-  const meta = getUploadMeta(tag.uid);
+function renderHistoryList() {
+  if (rightView !== 'history') return;
+  const entries = (historyList.history || [])
+    .filter(entry => historyView.filter === 'all' || getHistoryOutcome(entry).status === historyView.filter);
+  entries.sort(HISTORY_ORDERS[historyView.order]);
+  historyList.entries = entries;
   
-  // Clear existing detail view and interval
-  if (selectedUploadDetail) {
-    selectedUploadDetail.destroy();
-  }
-  if (detailRefreshInterval) {
-    clearInterval(detailRefreshInterval);
-    detailRefreshInterval = null;
+  const empty = historyList.history?.length
+    ? '  {gray-fg}(no uploads match - F changes the filter){/gray-fg}'
+    : !isUploadsDbReadable()
+      ? '  {red-fg}(the uploads DB cannot be read - see logs/upload.log){/red-fg}'
+      : '  {gray-fg}(no uploads recorded for this node yet){/gray-fg}';
+  const prevSelected = historyList.selected;
+  historyList.setItems(entries.length ? entries.map(formatHistoryRow) : [empty]);
+  historyList.select(Math.min(prevSelected, Math.max(0, entries.length - 1)));
+  updateRightLabel();
+  screen.render();
+}
+
+async function refreshHistoryList() {
+  const node = activeNode;
+  let tags = [];
+  let tagError = null;
+  try {
+    tags = await getAllTags(node);
+  } catch (err) {
+    tagError = err;
   }
-  
-  const detailBox = blessed.box({
-    parent: rightBox,
-    top: 0,
-    left: 0,
-    width: '100%-2',
-    height: '100%-2',
+  if (node !== activeNode || rightView !== 'history') return;
+  recordSyncedUploads(tags, loadUploadsDb(node.dbPath), node.dbPath);
+  historyList.history = buildUploadHistory(loadUploadsDb(node.dbPath), tags, node);
+  historyList.tagError = tagError;
+  renderHistoryList();
+}
+
+function showJobDetail(job) {
+  const dialog = blessed.box({
+    parent: screen,
+    top: 'center',
+    left: 'center',
+    width: 70,
+    height: (job.feed ? 19 : 18) + (job.encrypt ? 2 : 0),
+    border: 'line',
+    label: ` {bold}Queued ${job.type === 'download' ? 'Download' : 'Upload'}{/bold} `,
     tags: true,
-    style: { fg: 'white', bg: 'black' },
-    content: renderUploadDetailContent(tag, meta),
+    keys: true,
+    style: {
+      fg: 'white',
+      bg: 'black',
+      border: { fg: jobStatusColors[job.status] || 'cyan' },
+    },
+    content:
+      `\n  {bold}Name:{/bold}      ${blessed.escape(job.name)}\n` +
+      `  {bold}Path:{/bold}      ${blessed.escape(job.path)}\n` +
+      `  {bold}Node:{/bold}      ${blessed.escape(job.node)}\n` +
+      (job.type === 'download' ? '' : `  {bold}Batch:{/bold}     ${job.batchId.slice(0, 32)}...\n`) +
+      `  {bold}Status:{/bold}    ${job.status}${job.progress?.phase ? ` (${job.progress.phase})` : ''}\n` +
+      `  {bold}Attempts:{/bold}  ${job.attempts}\n` +
+      (job.type === 'download'
+        ? `  {bold}Saved as:{/bold}  ${blessed.escape(job.savedPath || '-')}\n`
+        : `  {bold}Tag UID:{/bold}   ${job.tagUid || '-'}\n`) +
+      `  {bold}Hash:{/bold}      ${job.reference || '-'}\n` +
+      (job.encrypt ? `  {bold}Encrypted:{/bold} {yellow-fg}yes - the hash includes the decryption key{/yellow-fg}\n` : '') +
+      (job.feed ? `  {bold}Feed:{/bold}      ${blessed.escape(job.feed)}${job.feedIndex === undefined ? '' : ` (update #${job.feedIndex + 1})`}\n` : '') +
+      `  {bold}Queued:{/bold}    ${job.createdAt}\n` +
+      `  {bold}Finished:{/bold}  ${job.finishedAt || '-'}\n` +
+      (job.error ? `\n  {red-fg}${blessed.escape(job.error.slice(0, 180))}{/red-fg}\n` : '') +
+      `\n  {gray-fg}Escape to close{/gray-fg}`,
   });
   
-  selectedUploadDetail = detailBox;
-  selectedUploadDetail.meta = meta;
-  selectedUploadDetail.tagUid = tag.uid;
+  dialog.key(['escape', 'enter'], () => {
+    dialog.destroy();
+    queueList.focus();
+    screen.render();
+  });
+  dialog.focus();
   screen.render();
-  
-  // Auto-refresh every second
-  detailRefreshInterval = setInterval(async () => {
-    if (!selectedUploadDetail || selectedUploadDetail.isManifestView) return;
-    try {
-      const updatedTag = await getTagStatus(tag.uid);
-      const updatedMeta = getUploadMeta(tag.uid);
-      selectedUploadDetail.setContent(renderUploadDetailContent(updatedTag, updatedMeta));
-      selectedUploadDetail.meta = updatedMeta;
-      screen.render();
-    } catch {}
-  }, 1000);
 }
 
-function showManifestFiles(meta) {
-  // Clear existing detail view and refresh interval
-  if (detailRefreshInterval) {
-    clearInterval(detailRefreshInterval);
-    detailRefreshInterval = null;
-  }
-  if (selectedUploadDetail) {
-    selectedUploadDetail.destroy();
-  }
-  
-  const files = meta.files || [];
-  const reference = meta.reference;
-  const dirName = meta.name?.replace(/\/$/, '') || 'directory';
+function setQueueConcurrency(concurrency) {
+  const value = Math.max(1, Math.min(16, concurrency));
+  config.queue = { ...(config.queue || {}), concurrency: value };
+  saveConfig({ ...loadConfig(), queue: config.queue });
+  showRightView('queue');
+  processQueue();
+  showMessage(`Upload concurrency: ${value}`, 'info');
+}
+
+function showMessage(text, type = 'info') {
+  const colors = { info: 'cyan', success: 'green', error: 'red' };
+  footer.setContent(` {${colors[type]}-fg}${text}{/${colors[type]}-fg}`);
+  screen.render();
   
-  const fileListBox = blessed.box({
-    parent: rightBox,
-    top: 0,
-    left: 0,
-    width: '100%-2',
-    height: 3,
+  setTimeout(() => {
+    updateFooter();
+    screen.render();
+  }, 3000);
+}
+
+// With allowEmpty, an empty answer is passed on as ''; onCancel runs when
+// nothing is passed on
+function promptInput(label, currentValue, callback, { allowEmpty = false, onCancel = null } = {}) {
+  const prompt = blessed.prompt({
+    parent: screen,
+    top: 'center',
+    left: 'center',
+    width: 70,
+    height: 8,
+    border: 'line',
+    label: ` ${label} `,
     tags: true,
-    style: { fg: 'white', bg: 'black' },
-    content: 
-      `{bold}{cyan-fg}Files in ${dirName}/{/cyan-fg}{/bold}\n` +
-      `${'─'.repeat(40)}\n` +
-      `{gray-fg}${files.length} file(s){/gray-fg}`,
-  });
-  
-  const filesList = blessed.list({
-    parent: rightBox,
-    top: 3,
-    left: 0,
-    width: '100%-2',
-    height: '100%-6',
     keys: true,
-    vi: true,
-    mouse: true,
-    tags: true,
-    scrollbar: {
-      ch: '|',
-      style: { bg: 'cyan' },
-    },
+    vi: false,
     style: {
       fg: 'white',
       bg: 'black',
-      selected: { fg: 'black', bg: 'cyan', bold: true },
+      border: { fg: 'cyan' },
     },
   });
-  
-  const items = files.map(entry => {
-    const filePath = entry.path || entry.name || entry;
-    const size = entry.size ? ` (${formatSizeHuman(entry.size)})` : '';
-    return `  ${filePath}${size}`;
+
+  prompt.input(`Enter ${label}:`, currentValue, (err, value) => {
+    prompt.destroy();
+    fileList.focus();
+    screen.render();
+    // Callback may open the next dialog, so it runs after focus is restored
+    if (value !== null && value !== undefined && (allowEmpty || value.trim() !== '')) {
+      callback(value.trim());
+    } else if (onCancel) {
+      onCancel();
+    }
   });
+}
+
+// Persist changes to a node profile, keeping the in-memory config in sync
+function updateNodeProfile(name, patch) {
+  config.nodes[name] = { ...config.nodes[name], ...patch };
+  const saved = loadConfig();
+  saved.nodes[name] = { ...saved.nodes[name], ...patch };
+  saved.activeNode = config.activeNode;
+  saveConfig(saved);
+}
+
+function switchNode(name) {
+  if (name === activeNode.name) return;
   
-  if (items.length === 0) {
-    items.push('  (no files recorded)');
+  let node;
+  try {
+    node = createNodeContext(name);
+  } catch (err) {
+    showMessage(`Cannot switch node: ${err.message}`, 'error');
+    return;
   }
   
-  filesList.setItems(items);
-  
-  const footerBox = blessed.box({
-    parent: rightBox,
-    bottom: 0,
-    left: 0,
-    width: '100%-2',
-    height: 1,
-    tags: true,
-    style: { fg: 'gray', bg: 'black' },
-    content: reference 
-      ? `{gray-fg}Escape: back | Hash: ${reference.slice(0, 24)}...{/gray-fg}`
-      : `{gray-fg}Escape: back{/gray-fg}`,
-  });
-  
-  // Create a container to track all elements
-  selectedUploadDetail = {
-    destroy: () => {
-      fileListBox.destroy();
-      filesList.destroy();
-      footerBox.destroy();
-    },
-    isManifestView: true,
-  };
+  closeUploadDetail();
+  activeNode = node;
+  batchId = node.batchId;
+  config.activeNode = name;
+  updateNodeProfile(name, {});
   
-  filesList.focus();
+  tagList.setItems([]);
+  tagList.tags = [];
+  nodeErrorBox.hide();
+  batchInfo = null;
+  updateRightLabel();
+  updateBatchBar();
+  // Upload markers come from the node's own uploads DB
+  renderFileList();
+  updateFooter();
   screen.render();
+  refreshTagList();
+  if (rightView === 'pins') refreshPinList();
+  if (rightView === 'history') refreshHistoryList();
+  refreshBatchInfo();
+  showMessage(`Switched to node "${name}" (${describeEndpoint()})`, 'success');
 }
 
-function closeUploadDetail() {
-  if (detailRefreshInterval) {
-    clearInterval(detailRefreshInterval);
-    detailRefreshInterval = null;
-  }
-  if (selectedUploadDetail) {
-    selectedUploadDetail.destroy();
-    selectedUploadDetail = null;
-    screen.render();
-  }
-}
-
-function showUploadConfirmation(filePath, fileSize, onConfirm, isDirectory = false, fileCount = 0, hasIndex = false) {
-  const fileName = path.basename(filePath);
+function showNodeSwitcher() {
+  const names = Object.keys(config.nodes);
   
   const dialog = blessed.box({
     parent: screen,
     top: 'center',
     left: 'center',
-    width: 60,
-    height: isDirectory ? (hasIndex ? 16 : 14) : 12,
+    width: 70,
+    height: Math.min(names.length, 10) + 6,
     border: 'line',
-    label: ` {bold}Upload ${isDirectory ? 'Directory' : 'File'} to Swarm{/bold} `,
+    label: ' {bold}Bee Nodes{/bold} ',
     tags: true,
     style: {
       fg: 'white',
@@ -718,99 +5260,81 @@ function showUploadConfirmation(filePath, fileSize, onConfirm, isDirectory = fal
     },
   });
   
-  const indexLine = hasIndex ? `{bold}Index:{/bold}  {green-fg}index.html{/green-fg}\n\n` : '';
-  
-  const contentLines = isDirectory
-    ? `{bold}Directory:{/bold}  ${fileName}\n\n` +
-      `{bold}Files:{/bold}  ${fileCount} files\n\n` +
-      `{bold}Total Size:{/bold}  ${formatSizeHuman(fileSize)}\n\n` +
-      indexLine +
-      `{bold}Name on Swarm:{/bold}  ${fileName}/`
-    : `{bold}File:{/bold}  ${fileName}\n\n` +
-      `{bold}Size:{/bold}  ${formatSizeHuman(fileSize)}\n\n` +
-      `{bold}Name on Swarm:{/bold}  ${fileName}`;
-  
-  blessed.box({
+  const list = blessed.list({
     parent: dialog,
     top: 1,
-    left: 2,
+    left: 1,
     width: '100%-4',
-    height: isDirectory ? 8 : 6,
+    height: '100%-5',
+    keys: true,
+    vi: true,
+    mouse: true,
     tags: true,
-    content: contentLines,
-    style: { fg: 'white', bg: 'black' },
-  });
-  
-  const okBtn = blessed.button({
-    parent: dialog,
-    bottom: 1,
-    left: 10,
-    width: 12,
-    height: 1,
-    content: '   OK   ',
     style: {
-      fg: 'black',
-      bg: 'green',
-      focus: { fg: 'black', bg: 'cyan' },
+      fg: 'white',
+      bg: 'black',
+      selected: { fg: 'black', bg: 'cyan', bold: true },
     },
-    keys: true,
-    mouse: true,
   });
   
-  const cancelBtn = blessed.button({
+  list.setItems(names.map(name => {
+    const node = name === activeNode.name ? activeNode : null;
+    const marker = node ? '{green-fg}●{/green-fg}' : ' ';
+    let endpoint;
+    try {
+      endpoint = describeEndpoint(node || { api: resolveApiConfig(config.nodes[name]) });
+    } catch (err) {
+      endpoint = `{red-fg}${blessed.escape(err.message)}{/red-fg}`;
+    }
+    return `${marker} ${blessed.escape(name.slice(0, 16)).padEnd(16)} ${endpoint}`;
+  }));
+  list.select(Math.max(0, names.indexOf(activeNode.name)));
+  
+  blessed.box({
     parent: dialog,
     bottom: 1,
-    right: 10,
-    width: 12,
+    left: 2,
+    width: '100%-4',
     height: 1,
-    content: ' Cancel ',
-    style: {
-      fg: 'black',
-      bg: 'red',
-      focus: { fg: 'black', bg: 'cyan' },
-    },
-    keys: true,
-    mouse: true,
+    tags: true,
+    content: '{gray-fg}Enter: switch | Escape: cancel | profiles are defined in config.json{/gray-fg}',
+    style: { fg: 'gray', bg: 'black' },
   });
   
-  okBtn.focus();
-  screen.render();
-  
   const close = () => {
     dialog.destroy();
     fileList.focus();
     screen.render();
   };
   
-  okBtn.on('press', () => { close(); onConfirm(); });
-  cancelBtn.on('press', close);
+  list.key(['escape'], close);
+  list.on('select', (item, index) => {
+    close();
+    switchNode(names[index]);
+  });
   
-  dialog.key(['escape'], close);
-  dialog.key(['enter'], () => { close(); onConfirm(); });
-  okBtn.key(['tab', 'right'], () => cancelBtn.focus());
-  cancelBtn.key(['tab', 'left'], () => okBtn.focus());
+  list.focus();
+  screen.render();
 }
 
-async function uploadFile(filePath) {
-  if (!batchId) {
-    showMessage('Batch ID not set! Press F2 to set it.', 'error');
-    return;
-  }
-  
-  const fileName = path.basename(filePath);
-  const fileSize = fs.statSync(filePath).size;
-  
-  logUpload(`START file="${fileName}" size=${fileSize} path="${filePath}"`);
-  
-  // Create progress dialog (modal)
+function selectBatch(id) {
+  batchId = id;
+  updateNodeProfile(activeNode.name, { batchId });
+  updateBatchBar();
+  refreshBatchInfo();
+  showMessage(`Batch ID saved: ${batchId.slice(0, 24)}...`, 'success');
+}
+
+// Progress dialog that polls the node until isDone(stamp) holds for the batch
+async function waitForBatch(id, { title, description, isDone }, node = activeNode) {
   const progressBox = blessed.box({
     parent: screen,
     top: 'center',
     left: 'center',
     width: 60,
-    height: 16,
+    height: 12,
     border: 'line',
-    label: ' {bold}Uploading{/bold} ',
+    label: ` {bold}${title}{/bold} `,
     tags: true,
     keys: true,
     vi: false,
@@ -828,62 +5352,29 @@ async function uploadFile(filePath) {
     width: '100%-4',
     height: 1,
     tags: true,
-    content: '{yellow-fg}Creating tag...{/yellow-fg}',
+    content: `{yellow-fg}${description}{/yellow-fg}`,
     style: { fg: 'white', bg: 'black' },
   });
   
-  const fileInfo = blessed.box({
+  blessed.box({
     parent: progressBox,
     top: 3,
     left: 2,
     width: '100%-4',
     height: 1,
     tags: true,
-    content: `File: ${fileName.slice(0, 40)}`,
-    style: { fg: 'gray', bg: 'black' },
-  });
-  
-  const tagInfo = blessed.box({
-    parent: progressBox,
-    top: 4,
-    left: 2,
-    width: '100%-4',
-    height: 1,
-    tags: true,
-    content: 'Tag UID: ...',
-    style: { fg: 'gray', bg: 'black' },
-  });
-  
-  const progressBar = blessed.box({
-    parent: progressBox,
-    top: 6,
-    left: 2,
-    width: '100%-4',
-    height: 1,
-    tags: true,
-    content: '{cyan-fg}' + createProgressBar(0) + '{/cyan-fg}  0%',
-    style: { fg: 'white', bg: 'black' },
-  });
-  
-  const dataInfo = blessed.box({
-    parent: progressBox,
-    top: 7,
-    left: 2,
-    width: '100%-4',
-    height: 1,
-    tags: true,
-    content: `0 B / ${formatSizeHuman(fileSize)}`,
+    content: `Batch: ${id.slice(0, 40)}...`,
     style: { fg: 'gray', bg: 'black' },
   });
   
   const phaseInfo = blessed.box({
     parent: progressBox,
-    top: 9,
+    top: 5,
     left: 2,
     width: '100%-4',
     height: 1,
     tags: true,
-    content: 'Phase: Initializing',
+    content: 'Phase: Waiting for the transaction to confirm',
     style: { fg: 'white', bg: 'black' },
   });
   
@@ -904,519 +5395,704 @@ async function uploadFile(filePath) {
     },
   });
   
-  // Make modal - grab focus
   progressBox.focus();
   screen.render();
   
-  let tagUid = null;
-  let progressInterval = null;
   let backgrounded = false;
-  
-  const updateProgress = (phase, percent, transferred = 0) => {
-    if (backgrounded) return;
-    const bar = createProgressBar(percent);
-    progressBar.setContent(`{cyan-fg}${bar}{/cyan-fg} ${percent.toFixed(0).padStart(3)}%`);
-    dataInfo.setContent(`${formatSizeHuman(transferred)} / ${formatSizeHuman(fileSize)}`);
-    phaseInfo.setContent(`Phase: ${phase}`);
-    screen.render();
-  };
-  
-  const closeProgress = () => {
-    if (progressInterval) clearInterval(progressInterval);
-    if (!backgrounded) {
-      progressBox.destroy();
-    }
-    fileList.focus();
-    screen.render();
-  };
+  const started = Date.now();
+  const timeoutMs = 15 * 60 * 1000;
   
   const moveToBackground = () => {
+    if (backgrounded) return;
     backgrounded = true;
     progressBox.destroy();
     fileList.focus();
     screen.render();
-    showMessage(`Upload running in background (Tag: ${tagUid})`, 'info');
+    showMessage(`${title} continues in background`, 'info');
   };
   
   bgButton.on('press', moveToBackground);
   progressBox.key(['escape', 'b'], moveToBackground);
   
-  try {
-    // Create tag
-    tagUid = await createTag();
-    
-    // Save initial metadata
-    saveUploadMeta(tagUid, {
-      name: fileName,
-      date: new Date().toISOString(),
-      batchId: batchId,
-      reference: null,
-    });
-    
-    tagInfo.setContent(`Tag UID: {green-fg}${tagUid}{/green-fg}`);
-    statusLine.setContent('{yellow-fg}Uploading to local Bee node...{/yellow-fg}');
-    progressBox.style.border.fg = 'yellow';
-    screen.render();
-    
-    const fileData = fs.readFileSync(filePath);
-    const encodedName = encodeURIComponent(fileName);
-    
-    // Start progress tracking
-    progressInterval = setInterval(async () => {
-      try {
-        const tag = await getTagStatus(tagUid);
-        if (tag.split > 0) {
-          const total = tag.split;
-          const seen = tag.seen || 0;
-          const sent = tag.sent || 0;
-          const synced = tag.synced || 0;
-          
-          // Use the most advanced progress indicator
-          const progress = Math.max(seen, sent, synced);
-          const percent = (progress / total) * 100;
-          const transferred = Math.round((progress / total) * fileSize);
-          
-          if (synced >= total) {
-            updateProgress('Synced with network ✓', 100, fileSize);
-            statusLine.setContent('{green-fg}Upload complete!{/green-fg}');
-            progressBox.style.border.fg = 'green';
-          } else if (sent > 0) {
-            updateProgress(`Syncing (${synced}/${total} chunks)`, percent, transferred);
-            statusLine.setContent('{cyan-fg}Syncing with Swarm network...{/cyan-fg}');
-            progressBox.style.border.fg = 'cyan';
-          } else if (seen > 0) {
-            updateProgress(`Uploading (${seen}/${total} chunks)`, percent, transferred);
-            statusLine.setContent('{yellow-fg}Uploading to Bee node...{/yellow-fg}');
-          } else {
-            updateProgress(`Processing (${tag.split} chunks)`, 5, 0);
-          }
-        }
-      } catch {
-        // Ignore polling errors
-      }
-    }, 300);
-    
-    const result = await httpRequest({
-      hostname: '127.0.0.1',
-      port: 1633,
-      path: `/bzz?name=${encodedName}`,
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/octet-stream',
-        'Content-Length': fileData.length,
-        'swarm-postage-batch-id': batchId,
-        'swarm-tag': tagUid.toString(),
-      },
-    }, fileData);
-    
-    // Save reference to metadata
-    saveUploadMeta(tagUid, { reference: result.reference });
-
-    if (backgrounded) {
-      if (progressInterval) clearInterval(progressInterval);
-      return;
-    }
-    
-    statusLine.setContent('{cyan-fg}Syncing with Swarm network...{/cyan-fg}');
-    progressBox.style.border.fg = 'cyan';
-    screen.render();
-    
-    // Wait for sync to complete (poll for up to 2 minutes)
-    let syncComplete = false;
-    for (let i = 0; i < 240 && !syncComplete && !backgrounded; i++) {
-      await new Promise(r => setTimeout(r, 500));
-      try {
-        const tag = await getTagStatus(tagUid);
-        if (tag.synced >= tag.split && tag.split > 0) {
-          syncComplete = true;
-        }
-      } catch {}
-    }
-    
-    if (backgrounded) {
-      if (progressInterval) clearInterval(progressInterval);
-      return;
+  let done = false;
+  let phase = 'Waiting for the transaction to confirm';
+  while (!done && Date.now() - started < timeoutMs) {
+    try {
+      const stamp = await getStamp(id, node);
+      done = isDone(stamp);
+      phase = stamp.usable ? 'Waiting for the node to pick up the change' : 'Waiting for the batch to become usable';
+    } catch {
+      // The node may not know a freshly bought batch yet
     }
-    
-    closeProgress();
-    
-    if (syncComplete) {
-      logUpload(`COMPLETE file="${fileName}" reference=${result.reference} tag=${tagUid} synced=true`);
-      showMessage(`Synced: ${fileName} → ${result.reference.slice(0, 40)}...`, 'success');
-    } else {
-      logUpload(`COMPLETE file="${fileName}" reference=${result.reference} tag=${tagUid} synced=false`);
-      showMessage(`Uploaded (syncing): ${fileName} → ${result.reference.slice(0, 32)}...`, 'success');
+    if (done) break;
+    if (!backgrounded) {
+      const elapsed = Math.round((Date.now() - started) / 1000);
+      phaseInfo.setContent(`Phase: ${phase} (${elapsed}s)`);
+      screen.render();
     }
-    
+    await new Promise(r => setTimeout(r, 3000));
+  }
+  
+  if (!backgrounded) {
+    progressBox.destroy();
+    fileList.focus();
+  }
+  
+  if (done) {
+    logUpload(`STAMP ready batch=${id}`);
+    showMessage(`${title}: batch ${id.slice(0, 16)}... is ready`, 'success');
+  } else {
+    logUpload(`STAMP timeout batch=${id}`);
+    showMessage(`${title}: batch ${id.slice(0, 16)}... not ready after 15 minutes`, 'error');
+  }
+  if (node === activeNode) refreshBatchInfo();
+  screen.render();
+  return done;
+}
+
+// Suggested amount so that a batch lives for the given number of days at the current price
+function suggestAmount(price, days = 30) {
+  const blocks = BigInt(Math.round((days * 86400) / BLOCK_TIME_SECONDS));
+  return (BigInt(price || 0) * blocks).toString();
+}
+
+function parseAmount(value) {
+  return /^\d+$/.test(value) && BigInt(value) > 0n ? value : null;
+}
+
+function formatBalanceLine(wallet, cost) {
+  if (!wallet?.bzzBalance) return '';
+  const enough = BigInt(wallet.bzzBalance) >= cost;
+  const color = enough ? 'green' : 'red';
+  return `{bold}Wallet:{/bold}     {${color}-fg}${formatBzz(wallet.bzzBalance)}${enough ? '' : ' (insufficient)'}{/${color}-fg}\n`;
+}
+
+async function startBuyBatch() {
+  const node = activeNode;
+  let chainState;
+  let wallet = null;
+  try {
+    chainState = await getChainState(node);
+    wallet = await getWallet(node).catch(() => null);
   } catch (err) {
-    logUpload(`ERROR file="${fileName}" error="${err.message}"`);
-    if (backgrounded) {
-      if (progressInterval) clearInterval(progressInterval);
-      showMessage(`Upload failed: ${err.message}`, 'error');
+    showMessage(`Cannot read chain state: ${err.message}`, 'error');
+    return;
+  }
+  
+  promptInput('Batch depth', '20', (depthValue) => {
+    const depth = parseInt(depthValue, 10);
+    if (!(depth >= MIN_BATCH_DEPTH && depth <= MAX_BATCH_DEPTH)) {
+      showMessage(`Depth must be between ${MIN_BATCH_DEPTH} and ${MAX_BATCH_DEPTH}`, 'error');
       return;
     }
-    closeProgress();
-    showMessage(`Upload failed: ${err.message}`, 'error');
-  }
+    promptInput('Amount (PLUR per chunk)', suggestAmount(chainState.currentPrice), (amountValue) => {
+      const amount = parseAmount(amountValue);
+      if (!amount) {
+        showMessage('Amount must be a positive integer', 'error');
+        return;
+      }
+      const defaultLabel = `${node.name}-${new Date().toISOString().slice(0, 10)}`;
+      promptInput('Batch label', defaultLabel, (label) => {
+        const cost = getBatchCost(amount, depth);
+        const capacity = Math.pow(2, depth) * CHUNK_SIZE;
+        showConfirmDialog({
+          title: 'Buy Postage Batch',
+          height: 17,
+          content:
+            `{bold}Node:{/bold}       ${blessed.escape(node.name)}\n` +
+            `{bold}Label:{/bold}      ${blessed.escape(label)}\n\n` +
+            `{bold}Depth:{/bold}      ${depth} (max ${formatSizeHuman(capacity)})\n` +
+            `{bold}Amount:{/bold}     ${amount} PLUR/chunk\n` +
+            `{bold}Est. TTL:{/bold}   ${formatDuration(estimateBatchTTL(amount, chainState.currentPrice))}\n\n` +
+            `{bold}Cost:{/bold}       {yellow-fg}${formatBzz(cost)}{/yellow-fg}\n` +
+            formatBalanceLine(wallet, cost),
+        }, async () => {
+          let id;
+          try {
+            id = await buyBatch(amount, depth, label, node);
+          } catch (err) {
+            logUpload(`ERROR stamp buy depth=${depth} amount=${amount} error="${err.message}"`);
+            showMessage(`Buying batch failed: ${err.message}`, 'error');
+            return;
+          }
+          logUpload(`STAMP buy batch=${id} depth=${depth} amount=${amount} label="${label}"`);
+          const ready = await waitForBatch(id, {
+            title: 'Buying Postage Batch',
+            description: 'Batch purchased, waiting until it is usable...',
+            isDone: stamp => stamp.usable,
+          }, node);
+          if (ready && node === activeNode && !batchId) {
+            selectBatch(id);
+          }
+        });
+      });
+    });
+  });
 }
 
-async function uploadDirectory(dirPath) {
-  if (!batchId) {
-    showMessage('Batch ID not set! Press F2 to set it.', 'error');
+async function startTopUpBatch(stamp) {
+  const node = activeNode;
+  let chainState;
+  let wallet = null;
+  try {
+    chainState = await getChainState(node);
+    wallet = await getWallet(node).catch(() => null);
+  } catch (err) {
+    showMessage(`Cannot read chain state: ${err.message}`, 'error');
     return;
   }
   
-  const dirName = path.basename(dirPath);
-  const { totalSize, fileCount } = getDirectoryStats(dirPath);
+  promptInput('Top-up amount (PLUR per chunk)', suggestAmount(chainState.currentPrice), (amountValue) => {
+    const amount = parseAmount(amountValue);
+    if (!amount) {
+      showMessage('Amount must be a positive integer', 'error');
+      return;
+    }
+    const cost = getBatchCost(amount, stamp.depth);
+    const addedTTL = estimateBatchTTL(amount, chainState.currentPrice);
+    const newTTL = stamp.batchTTL >= 0 && addedTTL >= 0 ? stamp.batchTTL + addedTTL : -1;
+    const previousAmount = BigInt(stamp.amount);
+    showConfirmDialog({
+      title: 'Top Up Postage Batch',
+      height: 15,
+      content:
+        `{bold}Batch:{/bold}      ${stamp.label ? blessed.escape(stamp.label) + ' ' : ''}${stamp.batchID.slice(0, 16)}...\n\n` +
+        `{bold}Amount:{/bold}     +${amount} PLUR/chunk\n` +
+        `{bold}TTL:{/bold}        ${formatDuration(stamp.batchTTL)} → ~${formatDuration(newTTL)}\n\n` +
+        `{bold}Cost:{/bold}       {yellow-fg}${formatBzz(cost)}{/yellow-fg}\n` +
+        formatBalanceLine(wallet, cost),
+    }, async () => {
+      try {
+        await topUpBatch(stamp.batchID, amount, node);
+      } catch (err) {
+        logUpload(`ERROR stamp topup batch=${stamp.batchID} amount=${amount} error="${err.message}"`);
+        showMessage(`Top-up failed: ${err.message}`, 'error');
+        return;
+      }
+      logUpload(`STAMP topup batch=${stamp.batchID} amount=${amount}`);
+      await waitForBatch(stamp.batchID, {
+        title: 'Topping Up Batch',
+        description: 'Top-up sent, waiting for the node to apply it...',
+        isDone: updated => updated.usable && BigInt(updated.amount) > previousAmount,
+      }, node);
+    });
+  });
+}
+
+function startDiluteBatch(stamp) {
+  const node = activeNode;
   
-  logUpload(`START dir="${dirName}" files=${fileCount} size=${totalSize} path="${dirPath}"`);
+  promptInput('New batch depth', String(stamp.depth + 1), (depthValue) => {
+    const depth = parseInt(depthValue, 10);
+    if (!(depth > stamp.depth && depth <= MAX_BATCH_DEPTH)) {
+      showMessage(`New depth must be greater than ${stamp.depth}`, 'error');
+      return;
+    }
+    const factor = Math.pow(2, depth - stamp.depth);
+    const newTTL = stamp.batchTTL >= 0 ? Math.floor(stamp.batchTTL / factor) : -1;
+    showConfirmDialog({
+      title: 'Dilute Postage Batch',
+      height: 15,
+      content:
+        `{bold}Batch:{/bold}      ${stamp.label ? blessed.escape(stamp.label) + ' ' : ''}${stamp.batchID.slice(0, 16)}...\n\n` +
+        `{bold}Depth:{/bold}      ${stamp.depth} → ${depth}\n` +
+        `{bold}Capacity:{/bold}   ${formatSizeHuman(Math.pow(2, stamp.depth) * CHUNK_SIZE)} → ${formatSizeHuman(Math.pow(2, depth) * CHUNK_SIZE)}\n` +
+        `{bold}TTL:{/bold}        ${formatDuration(stamp.batchTTL)} → ~${formatDuration(newTTL)}\n\n` +
+        `{yellow-fg}Diluting costs nothing but divides the remaining TTL by ${factor}.{/yellow-fg}`,
+    }, async () => {
+      try {
+        await diluteBatch(stamp.batchID, depth, node);
+      } catch (err) {
+        logUpload(`ERROR stamp dilute batch=${stamp.batchID} depth=${depth} error="${err.message}"`);
+        showMessage(`Dilute failed: ${err.message}`, 'error');
+        return;
+      }
+      logUpload(`STAMP dilute batch=${stamp.batchID} depth=${depth}`);
+      await waitForBatch(stamp.batchID, {
+        title: 'Diluting Batch',
+        description: 'Dilute sent, waiting for the node to apply it...',
+        isDone: updated => updated.usable && updated.depth >= depth,
+      }, node);
+    });
+  });
+}
+
+function formatStampRow(stamp) {
+  const marker = stamp.batchID === batchId ? '{green-fg}●{/green-fg}' : ' ';
+  const label = blessed.escape((stamp.label || '').slice(0, 12)).padEnd(12);
+  const id = `${stamp.batchID.slice(0, 10)}…`;
+  const depth = String(stamp.depth).padStart(5);
+  const amount = String(stamp.amount).padStart(12);
+  const usage = getBatchUsage(stamp);
+  const usageColor = usage >= 90 ? 'red' : usage >= 70 ? 'yellow' : 'green';
+  const usageText = `{${usageColor}-fg}${usage.toFixed(0).padStart(4)}%{/${usageColor}-fg}`;
+  const ttl = formatDuration(stamp.batchTTL).padStart(8);
+  const usable = stamp.usable ? '{green-fg}yes{/green-fg}' : '{red-fg} no{/red-fg}';
+  return `${marker} ${label} ${id} ${depth} ${amount} ${usageText} ${ttl}  ${usable}`;
+}
+
+// Enter selects the batch for uploads, or hands it to onSelect(stamp) instead
+// when the picker is used to choose a batch for a single action
+function showBatchPicker({ title = 'Postage Batches', onSelect = null } = {}) {
+  const node = activeNode;
   
-  // Create progress dialog (modal)
-  const progressBox = blessed.box({
+  const dialog = blessed.box({
     parent: screen,
     top: 'center',
     left: 'center',
-    width: 60,
-    height: 18,
+    width: 80,
+    height: 20,
     border: 'line',
-    label: ' {bold}Uploading Directory{/bold} ',
+    label: ` {bold}${title} @ ${blessed.escape(node.name)}{/bold} `,
     tags: true,
-    keys: true,
-    vi: false,
     style: {
       fg: 'white',
       bg: 'black',
-      border: { fg: 'yellow' },
+      border: { fg: 'cyan' },
     },
   });
   
-  const statusLine = blessed.box({
-    parent: progressBox,
-    top: 1,
-    left: 2,
+  blessed.box({
+    parent: dialog,
+    top: 0,
+    left: 1,
     width: '100%-4',
     height: 1,
-    tags: true,
-    content: '{yellow-fg}Creating tar archive...{/yellow-fg}',
-    style: { fg: 'white', bg: 'black' },
+    content: '  Label        Batch       Depth       Amount  Used      TTL  Usable',
+    style: { fg: 'yellow', bg: 'blue' },
   });
   
-  const fileInfo = blessed.box({
-    parent: progressBox,
-    top: 3,
-    left: 2,
+  const list = blessed.list({
+    parent: dialog,
+    top: 1,
+    left: 1,
     width: '100%-4',
-    height: 1,
+    height: '100%-5',
+    keys: true,
+    vi: true,
+    mouse: true,
     tags: true,
-    content: `Directory: ${dirName.slice(0, 40)} (${fileCount} files)`,
-    style: { fg: 'gray', bg: 'black' },
+    style: {
+      fg: 'white',
+      bg: 'black',
+      selected: { fg: 'black', bg: 'cyan', bold: true },
+    },
   });
+  list.setItems(['  {yellow-fg}Loading batches...{/yellow-fg}']);
   
-  const tagInfo = blessed.box({
-    parent: progressBox,
-    top: 4,
+  blessed.box({
+    parent: dialog,
+    bottom: 1,
     left: 2,
     width: '100%-4',
     height: 1,
     tags: true,
-    content: 'Tag UID: ...',
+    content: '{gray-fg}Enter: select | B: buy | T: top up | D: dilute | M: manual ID | R: reload | Esc{/gray-fg}',
     style: { fg: 'gray', bg: 'black' },
   });
   
-  const progressBar = blessed.box({
-    parent: progressBox,
-    top: 6,
-    left: 2,
-    width: '100%-4',
-    height: 1,
-    tags: true,
-    content: '{cyan-fg}' + createProgressBar(0) + '{/cyan-fg}  0%',
-    style: { fg: 'white', bg: 'black' },
+  let stamps = [];
+  let closed = false;
+  
+  const load = async () => {
+    try {
+      const result = await getStamps(node);
+      if (closed) return;
+      // Usable batches first, then by remaining TTL
+      stamps = result.sort((a, b) => (b.usable - a.usable) || (b.batchTTL - a.batchTTL));
+      if (stamps.length === 0) {
+        list.setItems(['  {gray-fg}(no postage batches on this node - press M to enter an ID){/gray-fg}']);
+      } else {
+        list.setItems(stamps.map(formatStampRow));
+        list.select(Math.max(0, stamps.findIndex(st => st.batchID === batchId)));
+      }
+    } catch (err) {
+      if (closed) return;
+      stamps = [];
+      list.setItems([`  {red-fg}Failed to load batches: ${blessed.escape(err.message.slice(0, 60))}{/red-fg}`]);
+    }
+    screen.render();
+  };
+  
+  const close = () => {
+    closed = true;
+    dialog.destroy();
+    fileList.focus();
+    screen.render();
+  };
+  
+  list.key(['escape'], close);
+  list.key(['r'], () => {
+    list.setItems(['  {yellow-fg}Loading batches...{/yellow-fg}']);
+    screen.render();
+    load();
+  });
+  list.key(['m'], () => {
+    close();
+    promptInput('Batch ID', batchId, (value) => {
+      if (!isValidBatchId(value)) {
+        showMessage('Batch ID must be 64 hex characters', 'error');
+        return;
+      }
+      selectBatch(value.toLowerCase());
+    });
+  });
+  list.key(['b'], () => {
+    close();
+    startBuyBatch();
+  });
+  list.key(['t'], () => {
+    const stamp = stamps[list.selected];
+    if (!stamp) return;
+    close();
+    startTopUpBatch(stamp);
+  });
+  list.key(['d'], () => {
+    const stamp = stamps[list.selected];
+    if (!stamp) return;
+    close();
+    startDiluteBatch(stamp);
+  });
+  list.on('select', (item, index) => {
+    const stamp = stamps[index];
+    if (!stamp) return;
+    close();
+    if (node !== activeNode) return;
+    if (onSelect) {
+      onSelect(stamp);
+      return;
+    }
+    selectBatch(stamp.batchID);
+    if (!stamp.usable) {
+      showMessage('Selected batch is not usable yet - uploads will be refused until it is', 'error');
+    }
   });
   
-  const dataInfo = blessed.box({
-    parent: progressBox,
-    top: 7,
-    left: 2,
-    width: '100%-4',
-    height: 1,
+  list.focus();
+  screen.render();
+  load();
+}
+
+function formatFeedRow(name, feed) {
+  const owner = `${feed.owner.slice(0, 10)}…`;
+  const updates = String(feed.index || 0).padStart(7);
+  const target = feed.reference ? `${feed.reference.slice(0, 10)}…` : '-'.padEnd(11);
+  const dir = feed.path ? blessed.escape(feed.path.replace(homedir(), '~').slice(-24)) : '{gray-fg}-{/gray-fg}';
+  return `${blessed.escape(name.slice(0, 16)).padEnd(16)} ${owner} ${updates}  ${target}  ${dir}`;
+}
+
+function showFeedDetail(name, feed) {
+  showChoiceDialog({
+    title: `Feed ${name}`,
+    content:
+      `{bold}Feed URL:{/bold}\n{cyan-fg}${getFeedUrl(feed.manifest)}{/cyan-fg}\n\n` +
+      `{bold}Manifest:{/bold}  ${feed.manifest}\n` +
+      `{bold}Owner:{/bold}     ${feed.owner} (key ${blessed.escape(feed.key)})\n` +
+      `{bold}Topic:{/bold}     ${feed.topic}\n\n` +
+      `{bold}Updates:{/bold}   ${feed.index || 0}${feed.updatedAt ? `, last ${feed.updatedAt}` : ''}\n` +
+      `{bold}Points to:{/bold} ${feed.reference || '(nothing yet)'}\n` +
+      `{bold}Directory:{/bold} ${feed.path ? blessed.escape(feed.path) : '(not bound - B in the feed list)'}`,
+    height: 17,
+    width: 100,
+    choices: [
+      { label: 'Browse', value: 'browse' },
+      { label: 'Close', value: null },
+    ],
+  }, (action) => {
+    if (action === 'browse' && feed.reference) {
+      showManifestExplorer(feed.reference, name);
+    }
+  });
+}
+
+function startCreateFeed() {
+  const node = activeNode;
+  const selected = fileList.entries?.[fileList.selected];
+  const suggested = selected?.isDir && selected.name !== '..' ? selected.name : path.basename(currentDir);
+  promptInput('Feed name (topic)', suggested, (name) => {
+    if (getFeed(name)) {
+      showMessage(`Feed "${name}" already exists`, 'error');
+      return;
+    }
+    const keyNames = Object.keys(loadFeeds().keys);
+    promptInput('Signing key (new name generates one)', keyNames[0] || 'default', async (keyName) => {
+      try {
+        if (!loadFeeds().keys[keyName]) {
+          const key = addSigningKey(keyName);
+          showMessage(`Generated key "${keyName}" (${key.address})`, 'info');
+        }
+        const feed = await createFeed(name, keyName, { node });
+        showMessage(`Feed "${name}" created: ${getFeedUrl(feed.manifest, node)}`, 'success');
+      } catch (err) {
+        logUpload(`FEED ERROR create name="${name}" error="${err.message}"`);
+        showMessage(`Creating feed failed: ${err.message}`, 'error');
+      }
+    });
+  });
+}
+
+// Binds the feed to the highlighted directory (or the current one), so
+// finished uploads of that directory update it - or unbinds it again
+function toggleFeedDirectory(name) {
+  const selected = fileList.entries?.[fileList.selected];
+  const dirPath = selected?.isDir && selected.name !== '..' ? selected.path : currentDir;
+  const data = loadFeeds();
+  const feed = data.feeds[name];
+  if (feed.path === dirPath) {
+    feed.path = null;
+    showMessage(`Feed "${name}" is no longer updated by uploads`, 'info');
+  } else {
+    // One feed per directory
+    for (const other of Object.values(data.feeds)) {
+      if (other.path === dirPath) other.path = null;
+    }
+    feed.path = dirPath;
+    showMessage(`Uploads of ${dirPath.replace(homedir(), '~')} now update feed "${name}"`, 'success');
+  }
+  saveFeeds(data);
+}
+
+function startPublishToFeed(name) {
+  const node = activeNode;
+  const upload = getSelectedUpload();
+  promptInput(`Reference to publish on ${name}`, upload?.reference || getFeed(name)?.reference || '', async (reference) => {
+    try {
+      const { index } = await publishToFeed(name, reference.toLowerCase(), { node });
+      showMessage(`Feed "${name}" update #${index + 1} → ${reference.slice(0, 16)}...`, 'success');
+    } catch (err) {
+      showMessage(`Feed update failed: ${err.message}`, 'error');
+    }
+  });
+}
+
+function showSigningKeys() {
+  const dialog = blessed.box({
+    parent: screen,
+    top: 'center',
+    left: 'center',
+    width: 80,
+    height: 16,
+    border: 'line',
+    label: ' {bold}Signing Keys{/bold} ',
     tags: true,
-    content: `0 B / ${formatSizeHuman(totalSize)}`,
-    style: { fg: 'gray', bg: 'black' },
+    style: {
+      fg: 'white',
+      bg: 'black',
+      border: { fg: 'cyan' },
+    },
   });
   
-  const phaseInfo = blessed.box({
-    parent: progressBox,
-    top: 9,
-    left: 2,
+  const list = blessed.list({
+    parent: dialog,
+    top: 1,
+    left: 1,
     width: '100%-4',
-    height: 1,
+    height: '100%-5',
+    keys: true,
+    vi: true,
+    mouse: true,
     tags: true,
-    content: 'Phase: Creating archive',
-    style: { fg: 'white', bg: 'black' },
+    style: {
+      fg: 'white',
+      bg: 'black',
+      selected: { fg: 'black', bg: 'cyan', bold: true },
+    },
   });
   
-  const manifestInfo = blessed.box({
-    parent: progressBox,
-    top: 11,
+  blessed.box({
+    parent: dialog,
+    bottom: 1,
     left: 2,
     width: '100%-4',
     height: 1,
     tags: true,
-    content: '{gray-fg}Manifest: Will be created automatically{/gray-fg}',
+    content: '{gray-fg}G: generate | I: import | Del: remove | Escape: close | stored in state/feeds.json{/gray-fg}',
     style: { fg: 'gray', bg: 'black' },
   });
   
-  const bgButton = blessed.button({
-    parent: progressBox,
-    bottom: 1,
-    left: 'center',
-    width: 22,
-    height: 1,
-    content: ' Move to Background ',
-    tags: true,
-    keys: true,
-    mouse: true,
-    style: {
-      fg: 'white',
-      bg: 'blue',
-      focus: { fg: 'black', bg: 'cyan' },
-    },
-  });
-  
-  // Make modal - grab focus
-  progressBox.focus();
-  screen.render();
-  
-  let tagUid = null;
-  let progressInterval = null;
-  let backgrounded = false;
-  let tarPath = null;
-  
-  const updateProgress = (phase, percent, transferred = 0) => {
-    if (backgrounded) return;
-    const bar = createProgressBar(percent);
-    progressBar.setContent(`{cyan-fg}${bar}{/cyan-fg} ${percent.toFixed(0).padStart(3)}%`);
-    dataInfo.setContent(`${formatSizeHuman(transferred)} / ${formatSizeHuman(totalSize)}`);
-    phaseInfo.setContent(`Phase: ${phase}`);
+  let names = [];
+  const load = () => {
+    const { keys, feeds } = loadFeeds();
+    names = Object.keys(keys);
+    list.setItems(names.length
+      ? names.map(name => {
+        const used = Object.values(feeds).filter(feed => feed.key === name).length;
+        return `${blessed.escape(name.slice(0, 16)).padEnd(16)} ${keys[name].address}  {gray-fg}${used} feed${used === 1 ? '' : 's'}{/gray-fg}`;
+      })
+      : ['  {gray-fg}(no keys - press G to generate one){/gray-fg}']);
     screen.render();
   };
   
-  const cleanupTar = () => {
-    if (tarPath && fs.existsSync(tarPath)) {
-      try {
-        fs.unlinkSync(tarPath);
-      } catch {}
-    }
-  };
-  
-  const closeProgress = () => {
-    if (progressInterval) clearInterval(progressInterval);
-    cleanupTar();
-    if (!backgrounded) {
-      progressBox.destroy();
-    }
+  const close = () => {
+    dialog.destroy();
     fileList.focus();
     screen.render();
   };
   
-  const moveToBackground = () => {
-    backgrounded = true;
-    progressBox.destroy();
-    fileList.focus();
-    screen.render();
-    showMessage(`Upload running in background (Tag: ${tagUid})`, 'info');
+  const addKey = (name, privateKey) => {
+    try {
+      const key = addSigningKey(name, privateKey);
+      showMessage(`Key "${name}": ${key.address}`, 'success');
+    } catch (err) {
+      showMessage(err.message, 'error');
+    }
+    showSigningKeys();
   };
   
-  bgButton.on('press', moveToBackground);
-  progressBox.key(['escape', 'b'], moveToBackground);
-  
-  try {
-    // Create tar archive
-    tarPath = createTarArchive(dirPath);
-    const tarSize = fs.statSync(tarPath).size;
-    
-    statusLine.setContent('{yellow-fg}Creating tag...{/yellow-fg}');
-    screen.render();
-    
-    // Create tag
-    tagUid = await createTag();
-    
-    // Collect file list for metadata
-    const filesList = collectDirectoryFiles(dirPath);
-    
-    // Check if directory contains index.html
-    const hasIndexHtml = filesList.some(f => f.path === 'index.html' || f.path.endsWith('/index.html'));
-    
-    // Save initial metadata with file list
-    saveUploadMeta(tagUid, {
-      name: dirName + '/',
-      date: new Date().toISOString(),
-      batchId: batchId,
-      reference: null,
-      isDirectory: true,
-      fileCount: fileCount,
-      files: filesList.map(f => ({ path: f.path, size: f.size })),
-      indexDocument: hasIndexHtml ? 'index.html' : null,
+  list.key(['escape'], close);
+  list.key(['g'], () => {
+    close();
+    promptInput('Key name', '', name => addKey(name));
+  });
+  list.key(['i'], () => {
+    close();
+    promptInput('Key name', '', (name) => {
+      promptInput('Private key (hex)', '', privateKey => addKey(name, privateKey));
     });
-    
-    tagInfo.setContent(`Tag UID: {green-fg}${tagUid}{/green-fg}`);
-    statusLine.setContent('{yellow-fg}Uploading directory to Bee node...{/yellow-fg}');
-    progressBox.style.border.fg = 'yellow';
-    screen.render();
-    
-    const tarData = fs.readFileSync(tarPath);
-    
-    // Start progress tracking
-    progressInterval = setInterval(async () => {
+  });
+  list.key(['delete', 'x'], () => {
+    const name = names[list.selected];
+    if (!name) return;
+    showConfirmDialog({
+      title: 'Remove Signing Key',
+      content: `Remove key {bold}${blessed.escape(name)}{/bold}?\n\n{yellow-fg}Without it, feeds owned by ${loadFeeds().keys[name].address.slice(0, 10)}… can never be updated again.{/yellow-fg}`,
+      height: 11,
+      borderColor: 'red',
+    }, () => {
       try {
-        const tag = await getTagStatus(tagUid);
-        if (tag.split > 0) {
-          const total = tag.split;
-          const seen = tag.seen || 0;
-          const sent = tag.sent || 0;
-          const synced = tag.synced || 0;
-          
-          const progress = Math.max(seen, sent, synced);
-          const percent = (progress / total) * 100;
-          const transferred = Math.round((progress / total) * totalSize);
-          
-          if (synced >= total) {
-            updateProgress('Synced with network ✓', 100, totalSize);
-            statusLine.setContent('{green-fg}Upload complete!{/green-fg}');
-            progressBox.style.border.fg = 'green';
-          } else if (sent > 0) {
-            updateProgress(`Syncing (${synced}/${total} chunks)`, percent, transferred);
-            statusLine.setContent('{cyan-fg}Syncing with Swarm network...{/cyan-fg}');
-            progressBox.style.border.fg = 'cyan';
-          } else if (seen > 0) {
-            updateProgress(`Uploading (${seen}/${total} chunks)`, percent, transferred);
-            statusLine.setContent('{yellow-fg}Uploading to Bee node...{/yellow-fg}');
-          } else {
-            updateProgress(`Processing (${tag.split} chunks)`, 5, 0);
-          }
-        }
-      } catch {
-        // Ignore polling errors
+        removeSigningKey(name);
+        logUpload(`KEY remove name="${name}"`);
+      } catch (err) {
+        showMessage(err.message, 'error');
       }
-    }, 300);
-    
-    // Upload tar with collection headers
-    const uploadHeaders = {
-      'Content-Type': 'application/x-tar',
-      'Content-Length': tarData.length,
-      'swarm-postage-batch-id': batchId,
-      'swarm-tag': tagUid.toString(),
-      'swarm-collection': 'true',
-    };
-    
-    if (hasIndexHtml) {
-      uploadHeaders['swarm-index-document'] = 'index.html';
-    }
-    
-    const result = await httpRequest({
-      hostname: '127.0.0.1',
-      port: 1633,
-      path: `/bzz?name=${encodeURIComponent(dirName)}`,
-      method: 'POST',
-      headers: uploadHeaders,
-    }, tarData);
-    
-    // Clean up tar file immediately after upload
-    cleanupTar();
-    tarPath = null;
-    
-    // Save reference to metadata
-    saveUploadMeta(tagUid, { reference: result.reference });
-    manifestInfo.setContent(`{green-fg}Manifest: ${result.reference.slice(0, 32)}...{/green-fg}`);
-
-    if (backgrounded) {
-      if (progressInterval) clearInterval(progressInterval);
-      return;
-    }
-    
-    statusLine.setContent('{cyan-fg}Syncing with Swarm network...{/cyan-fg}');
-    progressBox.style.border.fg = 'cyan';
-    screen.render();
-    
-    // Wait for sync to complete (poll for up to 2 minutes)
-    let syncComplete = false;
-    for (let i = 0; i < 240 && !syncComplete && !backgrounded; i++) {
-      await new Promise(r => setTimeout(r, 500));
-      try {
-        const tag = await getTagStatus(tagUid);
-        if (tag.synced >= tag.split && tag.split > 0) {
-          syncComplete = true;
-        }
-      } catch {}
-    }
-    
-    if (backgrounded) {
-      if (progressInterval) clearInterval(progressInterval);
-      return;
-    }
-    
-    closeProgress();
-    
-    if (syncComplete) {
-      logUpload(`COMPLETE dir="${dirName}" files=${fileCount} reference=${result.reference} tag=${tagUid} index=${hasIndexHtml ? 'index.html' : 'none'} synced=true`);
-      showMessage(`Synced: ${dirName}/ → ${result.reference.slice(0, 40)}...`, 'success');
-    } else {
-      logUpload(`COMPLETE dir="${dirName}" files=${fileCount} reference=${result.reference} tag=${tagUid} index=${hasIndexHtml ? 'index.html' : 'none'} synced=false`);
-      showMessage(`Uploaded (syncing): ${dirName}/ → ${result.reference.slice(0, 32)}...`, 'success');
-    }
-    
-  } catch (err) {
-    logUpload(`ERROR dir="${dirName}" error="${err.message}"`);
-    if (backgrounded) {
-      if (progressInterval) clearInterval(progressInterval);
-      cleanupTar();
-      showMessage(`Upload failed: ${err.message}`, 'error');
-      return;
-    }
-    closeProgress();
-    showMessage(`Upload failed: ${err.message}`, 'error');
-  }
-}
-
-function showMessage(text, type = 'info') {
-  const colors = { info: 'cyan', success: 'green', error: 'red' };
-  footer.setContent(` {${colors[type]}-fg}${text}{/${colors[type]}-fg}`);
-  screen.render();
+      load();
+      list.focus();
+    }, () => list.focus());
+  });
   
-  setTimeout(() => {
-    updateFooter();
-    screen.render();
-  }, 3000);
+  load();
+  list.focus();
 }
 
-function promptInput(label, currentValue, callback) {
-  const prompt = blessed.prompt({
+function showFeedManager() {
+  const dialog = blessed.box({
     parent: screen,
     top: 'center',
     left: 'center',
-    width: 70,
-    height: 8,
+    width: 80,
+    height: 20,
     border: 'line',
-    label: ` ${label} `,
+    label: ' {bold}Feeds{/bold} ',
     tags: true,
-    keys: true,
-    vi: false,
     style: {
       fg: 'white',
       bg: 'black',
       border: { fg: 'cyan' },
     },
   });
-
-  prompt.input(`Enter ${label}:`, currentValue, (err, value) => {
-    prompt.destroy();
+  
+  blessed.box({
+    parent: dialog,
+    top: 0,
+    left: 1,
+    width: '100%-4',
+    height: 1,
+    content: ' Feed             Owner       Updates  Points to    Directory',
+    style: { fg: 'yellow', bg: 'blue' },
+  });
+  
+  const list = blessed.list({
+    parent: dialog,
+    top: 1,
+    left: 1,
+    width: '100%-4',
+    height: '100%-5',
+    keys: true,
+    vi: true,
+    mouse: true,
+    tags: true,
+    style: {
+      fg: 'white',
+      bg: 'black',
+      selected: { fg: 'black', bg: 'cyan', bold: true },
+    },
+  });
+  
+  blessed.box({
+    parent: dialog,
+    bottom: 1,
+    left: 2,
+    width: '100%-4',
+    height: 1,
+    tags: true,
+    content: '{gray-fg}Enter: info | N: new | U: publish | B: bind | K: keys | Del: forget | Esc{/gray-fg}',
+    style: { fg: 'gray', bg: 'black' },
+  });
+  
+  let names = [];
+  const load = () => {
+    const { feeds } = loadFeeds();
+    names = Object.keys(feeds);
+    list.setItems(names.length
+      ? names.map(name => formatFeedRow(name, feeds[name]))
+      : ['  {gray-fg}(no feeds yet - press N to create one){/gray-fg}']);
     screen.render();
-    if (value !== null && value !== undefined && value.trim() !== '') {
-      callback(value.trim());
-    }
+  };
+  
+  const close = () => {
+    dialog.destroy();
     fileList.focus();
+    screen.render();
+  };
+  
+  const selectedName = () => names[list.selected];
+  
+  list.key(['escape'], close);
+  list.key(['n'], () => {
+    close();
+    startCreateFeed();
+  });
+  list.key(['u'], () => {
+    const name = selectedName();
+    if (!name) return;
+    close();
+    startPublishToFeed(name);
+  });
+  list.key(['b'], () => {
+    const name = selectedName();
+    if (!name) return;
+    toggleFeedDirectory(name);
+    load();
+  });
+  list.key(['k'], () => {
+    close();
+    showSigningKeys();
   });
+  list.key(['delete', 'x'], () => {
+    const name = selectedName();
+    if (!name) return;
+    showConfirmDialog({
+      title: 'Forget Feed',
+      content: `Forget feed {bold}${blessed.escape(name)}{/bold}?\n\nIts updates stay on Swarm and its key is kept, so it can be added again by creating a feed with the same name and key.`,
+      height: 11,
+    }, () => {
+      const data = loadFeeds();
+      delete data.feeds[name];
+      saveFeeds(data);
+      logUpload(`FEED forget name="${name}"`);
+      load();
+      list.focus();
+    }, () => list.focus());
+  });
+  list.on('select', (item, index) => {
+    const name = names[index];
+    if (!name) return;
+    close();
+    showFeedDetail(name, getFeed(name));
+  });
+  
+  load();
+  list.focus();
 }
 
 // Key bindings
@@ -1427,7 +6103,7 @@ screen.key(['tab'], () => {
     activePanel = 'right';
     leftBox.style.border.fg = 'gray';
     rightBox.style.border.fg = 'green';
-    tagList.focus();
+    (selectedUploadDetail?.list || getRightList()).focus();
   } else {
     activePanel = 'left';
     leftBox.style.border.fg = 'cyan';
@@ -1437,33 +6113,331 @@ screen.key(['tab'], () => {
   screen.render();
 });
 
-screen.key(['f5'], () => {
+screen.key(['f4'], () => {
+  showNodeSwitcher();
+});
+
+screen.key(['f7'], () => {
+  showFeedManager();
+});
+
+screen.key(['f6'], () => {
+  showRightView(rightView === 'queue' ? 'uploads' : 'queue');
+});
+
+screen.key(['f8'], () => {
+  showRightView(rightView === 'pins' ? 'uploads' : 'pins');
+});
+
+screen.key(['f9'], () => {
+  showRightView(rightView === 'history' ? 'uploads' : 'history');
+});
+
+// Capacity of the selected batch for an upload of the given files with the
+// given options (encrypt, redundancyLevel), or { error } when the batch cannot
+// be checked
+async function checkUploadCapacity(files, options = {}) {
+  if (!isValidBatchId(batchId)) {
+    return { error: 'no batch selected (press F2)' };
+  }
+  try {
+    const stamp = await getStamp(batchId);
+    return assessUploadCapacity(stamp, files, options);
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+// The stamp is kept so that the upload dialogs can assess other options
+// without asking the node again (see reassessUploadCapacity)
+function assessUploadCapacity(stamp, files, options) {
+  return { ...assessBatchCapacity(stamp, estimateUploadChunks(files, options)), stamp };
+}
+
+function reassessUploadCapacity(capacity, files, options) {
+  return capacity?.stamp ? assessUploadCapacity(capacity.stamp, files, options) : capacity;
+}
+
+async function uploadMarkedEntries(marked) {
+  const paths = marked.map(e => e.path);
+  const totalSize = marked.reduce((sum, e) => sum + getEntryUploadSize(e), 0);
+  const dirCount = marked.filter(e => e.isDir).length;
+  const collectionName = `${path.basename(currentDir) || 'root'}-selection`;
+  
+  // Capacity of the bundled variant; separate uploads add a little manifest overhead
+  const files = [];
+  const excluded = { count: 0, size: 0 };
+  for (const entry of marked) {
+    if (entry.isDir) {
+      files.push(...collectDirectoryFiles(entry.path, entry.name, excluded));
+    } else {
+      files.push({ path: entry.name, size: entry.size });
+    }
+  }
+  if (files.length === 0) {
+    showMessage('Marked entries contain no files', 'error');
+    return;
+  }
+  const capacity = await checkUploadCapacity(files);
+  
+  const content =
+    `{bold}Marked:{/bold}  ${marked.length} entries (${marked.length - dirCount} files, ${dirCount} dirs)\n\n` +
+    `{bold}Files:{/bold}  ${files.length} files\n\n` +
+    `{bold}Total Size:{/bold}  ${formatSizeHuman(totalSize)}\n\n` +
+    (excluded.count ? `{bold}Excluded:{/bold}  {yellow-fg}${excluded.count} files (${formatSizeHuman(excluded.size)}) by ignore rules{/yellow-fg}\n\n` : '') +
+    formatCapacityLines(capacity) +
+    `{bold}Collection name:{/bold}  ${blessed.escape(collectionName)}/`;
+  
+  showChoiceDialog({
+    title: 'Upload Marked Entries',
+    content,
+    height: excluded.count ? 21 : 19,
+    width: 64,
+    choices: [
+      { label: 'Separate', value: 'separate' },
+      { label: 'Collection', value: 'collection' },
+      { label: 'Cancel', value: null, color: 'red' },
+    ],
+  }, (mode) => {
+    if (capacity?.level === 'block') {
+      showMessage('Upload would overflow the batch - top up or dilute it first (F2)', 'error');
+      return;
+    }
+    // Content types are detected per file; documents only apply to the collection
+    const isCollection = mode === 'collection';
+    const formatContent = (capacity) =>
+      (isCollection
+        ? `{bold}Collection:{/bold}  ${blessed.escape(collectionName)}/ (${files.length} files)\n\n`
+        : `{bold}Uploads:{/bold}  ${marked.length} (one queue job each)\n\n`) +
+      formatCapacityLines(capacity);
+    showConfirmDialog({
+      title: isCollection ? 'Upload Collection' : 'Upload Separately',
+      content: formatContent(capacity),
+      height: 8 + getCapacityHeight(capacity),
+      width: 64,
+      ...getCapacityDialogState(capacity),
+      fields: isCollection ? [...getUploadOptionFields(), ...getDocumentFields(files, `${collectionName}/`)] : getUploadOptionFields(),
+      onChange: (options) => {
+        const updated = reassessUploadCapacity(capacity, files, options);
+        return { content: formatContent(updated), ...getCapacityDialogState(updated) };
+      },
+    }, (options) => {
+      if (isCollection) {
+        if (!enqueueUpload('collection', currentDir, { ...options, paths, name: collectionName })) return;
+      } else {
+        for (const entry of marked) {
+          if (!enqueueUpload(entry.isDir ? 'directory' : 'file', entry.path, options)) return;
+        }
+      }
+      clearMarks();
+      showMessage(`Queued ${isCollection ? '1 collection' : `${marked.length} uploads`} (F6 shows the queue)`, 'success');
+    });
+  });
+}
+
+screen.key(['f5'], async () => {
+  const marked = getMarkedEntries();
+  if (marked.length > 0) {
+    await uploadMarkedEntries(marked);
+    return;
+  }
+  
   const selected = fileList.entries?.[fileList.selected];
   if (selected && !selected.isDir && selected.path) {
-    showUploadConfirmation(selected.path, selected.size, () => {
-      uploadFile(selected.path);
-    });
+    const capacity = await checkUploadCapacity([{ path: selected.name, size: selected.size }]);
+    showUploadConfirmation(selected.path, selected.size, (options) => {
+      enqueueUpload('file', selected.path, options);
+    }, false, 1, [], capacity);
   } else if (selected?.isDir && selected.name !== '..') {
-    const { files, totalSize, fileCount } = getDirectoryStats(selected.path);
+    const { files, totalSize, fileCount, excludedCount, excludedSize } = getDirectoryStats(selected.path);
     if (fileCount === 0) {
       showMessage('Directory is empty', 'error');
       return;
     }
-    const hasIndex = files.some(f => f.path === 'index.html' || f.path.endsWith('/index.html'));
-    showUploadConfirmation(selected.path, totalSize, () => {
-      uploadDirectory(selected.path);
-    }, true, fileCount, hasIndex);
+    const capacity = await checkUploadCapacity(files);
+    showUploadConfirmation(selected.path, totalSize, (options) => {
+      enqueueUpload('directory', selected.path, options);
+    }, true, fileCount, files, capacity, { count: excludedCount, size: excludedSize });
   } else if (selected?.name === '..') {
     showMessage('Cannot upload parent directory', 'error');
   }
 });
 
 screen.key(['f2'], () => {
-  promptInput('Batch ID', batchId, (value) => {
-    batchId = value;
-    saveConfig({ ...loadConfig(), batchId });
-    updateBatchBar();
-    showMessage(`Batch ID saved: ${batchId.slice(0, 24)}...`, 'success');
+  showBatchPicker();
+});
+
+// Upload shown in the detail view or highlighted in the uploads panel
+function getSelectedUpload() {
+  let tagUid = selectedUploadDetail?.tagUid;
+  if (!tagUid && activePanel === 'right' && rightView === 'uploads') {
+    tagUid = tagList.tags?.[tagList.selected]?.uid;
+  }
+  if (!tagUid && activePanel === 'right' && rightView === 'history') {
+    // Uploads only known from the log have an unusable reference if encrypted
+    const meta = selectedHistoryEntry()?.meta;
+    return isValidReference(meta?.reference) ? meta : null;
+  }
+  const meta = tagUid ? getUploadMeta(tagUid) : null;
+  return meta?.reference ? meta : null;
+}
+
+// Re-uploads via stewardship with a batch picked for the purpose
+function startReupload(references, label) {
+  showBatchPicker({
+    title: 'Re-upload With Batch',
+    onSelect: async (stamp) => {
+      const node = activeNode;
+      let failed = 0;
+      for (const [i, reference] of references.entries()) {
+        showMessage(`Re-uploading ${label}${references.length > 1 ? ` (${i + 1}/${references.length})` : ''}...`, 'info');
+        try {
+          await reuploadReference(reference, { node, batchId: stamp.batchID });
+        } catch (err) {
+          if (references.length === 1) {
+            showMessage(`Re-upload failed: ${err.message}`, 'error');
+            return;
+          }
+          failed++;
+        }
+      }
+      if (failed) {
+        showMessage(`Re-uploaded ${references.length - failed} of ${references.length} uploads, ${failed} failed (see upload details)`, 'error');
+      } else {
+        showMessage(`Re-uploaded ${label} with batch ${stamp.label || stamp.batchID.slice(0, 12)}`, 'success');
+      }
+    },
+  });
+}
+
+// Checks every upload in the node's uploads DB, not just those the node
+// still has tags for, a few at a time
+const RETRIEVABILITY_CHECKS_PARALLEL = 4;
+
+async function checkAllUploads() {
+  const node = activeNode;
+  // Started from the uploads or history panel, which gets the focus back
+  const list = getRightList();
+  const names = new Map();
+  for (const meta of Object.values(loadUploadsDb(node.dbPath))) {
+    if (meta.reference && !names.has(meta.reference)) names.set(meta.reference, meta.name || meta.reference.slice(0, 16));
+  }
+  const references = [...names.keys()];
+  if (references.length === 0) {
+    showMessage('No uploads with a reference to check', 'error');
+    return;
+  }
+  
+  const controller = new AbortController();
+  const progressBox = blessed.box({
+    parent: screen,
+    top: 'center',
+    left: 'center',
+    width: 60,
+    height: 9,
+    border: 'line',
+    label: ' {bold}Checking Retrievability{/bold} ',
+    tags: true,
+    keys: true,
+    style: {
+      fg: 'white',
+      bg: 'black',
+      border: { fg: 'yellow' },
+    },
+  });
+  progressBox.key(['escape'], () => controller.abort());
+  progressBox.focus();
+  
+  const missing = [];
+  const failed = [];
+  let done = 0;
+  const update = () => {
+    const ok = done - missing.length - failed.length;
+    progressBox.setContent(
+      `\n  Checked ${done} of ${references.length} uploads\n\n` +
+      `  {green-fg}${ok} retrievable{/green-fg}, {red-fg}${missing.length} not retrievable{/red-fg}, ${failed.length} failed\n\n` +
+      `  {gray-fg}Escape to stop{/gray-fg}`
+    );
+    screen.render();
+  };
+  update();
+  
+  const pending = [...references];
+  const worker = async () => {
+    while (pending.length > 0 && !controller.signal.aborted) {
+      const reference = pending.shift();
+      try {
+        if (!(await checkRetrievable(reference, { node, signal: controller.signal }))) missing.push(reference);
+      } catch {
+        if (controller.signal.aborted) return;
+        failed.push(reference);
+      }
+      done++;
+      update();
+    }
+  };
+  await Promise.all(Array.from({ length: RETRIEVABILITY_CHECKS_PARALLEL }, worker));
+  progressBox.destroy();
+  list.focus();
+  
+  if (controller.signal.aborted) {
+    showMessage(`Check stopped after ${done} of ${references.length} uploads`, 'info');
+    return;
+  }
+  logUpload(`CHECK ALL node="${node.name}" uploads=${references.length} missing=${missing.length} failed=${failed.length}`);
+  
+  const shown = missing.slice(0, 8);
+  const rows = shown.map(reference => `  {red-fg}✗{/red-fg} ${blessed.escape(names.get(reference).slice(0, 48))}`).join('\n');
+  const more = missing.length > shown.length ? `\n  ... and ${missing.length - shown.length} more` : '';
+  showChoiceDialog({
+    title: 'Retrievability',
+    content:
+      `{bold}Checked:{/bold}  ${references.length} uploads\n` +
+      `{bold}Retrievable:{/bold}  {green-fg}${references.length - missing.length - failed.length}{/green-fg}\n` +
+      `{bold}Not retrievable:{/bold}  {red-fg}${missing.length}{/red-fg}\n` +
+      `{bold}Check failed:{/bold}  ${failed.length}` +
+      (missing.length ? `\n\n${rows}${more}` : ''),
+    height: 10 + (missing.length ? shown.length + 1 + (more ? 1 : 0) : 0),
+    width: 64,
+    choices: missing.length
+      ? [{ label: 'Re-upload missing', value: 'reupload' }, { label: 'Close', value: null }]
+      : [{ label: 'Close', value: null }],
+  }, () => startReupload(missing, missing.length === 1 ? names.get(missing[0]) : `${missing.length} uploads`), () => list.focus());
+}
+
+function queueDownload(reference, saveAs) {
+  if (enqueueDownload(reference, saveAs)) {
+    showMessage(`Queued download to ${currentDir.replace(homedir(), '~')} (F6 shows the queue)`, 'success');
+  }
+}
+
+screen.key(['f3'], () => {
+  const upload = getSelectedUpload();
+  promptInput('Swarm reference', upload?.reference || '', (reference) => {
+    if (!isValidReference(reference)) {
+      showMessage('Reference must be 64 or 128 hex characters', 'error');
+      return;
+    }
+    // Our own uploads keep their original name
+    const [known] = findUploadsByReference(reference.toLowerCase());
+    const name = known?.name ? known.name.replace(/\/$/, '') : null;
+    showChoiceDialog({
+      title: 'Open Swarm Reference',
+      content: `{bold}Reference:{/bold}\n${reference}${name ? `\n\n{bold}Upload:{/bold}  ${blessed.escape(name)}` : ''}`,
+      height: name ? 12 : 10,
+      width: 72,
+      choices: [
+        { label: 'Browse', value: 'browse' },
+        { label: 'Download', value: 'download' },
+        { label: 'Cancel', value: null, color: 'red' },
+      ],
+    }, (action) => {
+      if (action === 'browse') {
+        showManifestExplorer(reference.toLowerCase(), name);
+      } else {
+        queueDownload(reference, name);
+      }
+    });
   });
 });
 
@@ -1483,6 +6457,72 @@ fileList.key(['enter'], () => {
   }
 });
 
+fileList.key(['insert', 'space'], () => {
+  const entry = fileList.entries?.[fileList.selected];
+  if (entry && entry.name !== '..') {
+    setMarked(entry, !entry.marked);
+    renderFileList();
+  }
+  fileList.down(1);
+  updateFooter();
+  screen.render();
+});
+
+fileList.key(['+'], () => {
+  promptInput('Select files (glob)', '*', (pattern) => {
+    showMessage(`Marked ${markByGlob(pattern, true)} file(s)`, 'info');
+  });
+});
+
+fileList.key(['-'], () => {
+  promptInput('Unselect files (glob)', '*', (pattern) => {
+    showMessage(`Unmarked ${markByGlob(pattern, false)} file(s)`, 'info');
+  });
+});
+
+fileList.key(['*'], () => {
+  invertMarks();
+});
+
+fileList.key(['f'], () => {
+  promptInput('Filter (glob, empty shows all)', fileFilter, (value) => {
+    fileFilter = value;
+    savePanelFilters();
+    updateLeftLabel();
+    refreshDirectory();
+  }, { allowEmpty: true });
+});
+
+fileList.key(['s'], () => {
+  const sorts = Object.keys(FILE_SORTS);
+  fileView.sort = sorts[(sorts.indexOf(fileView.sort) + 1) % sorts.length];
+  saveFileView();
+  updateLeftLabel();
+  refreshDirectory();
+});
+
+fileList.key(['r'], () => {
+  fileView.descending = !fileView.descending;
+  saveFileView();
+  updateLeftLabel();
+  refreshDirectory();
+});
+
+fileList.key(['.'], () => {
+  fileView.showHidden = !fileView.showHidden;
+  saveFileView();
+  updateLeftLabel();
+  refreshDirectory();
+});
+
+for (const list of [fileList, tagList, historyList]) {
+  list.key(['/'], () => startSearch(list));
+  list.key(['n'], () => repeatSearch(list, 1));
+  list.key(['S-n'], () => repeatSearch(list, -1));
+}
+
+tagList.key(['f'], showUploadFilterDialog);
+
 fileList.key(['backspace'], () => {
   if (currentDir !== '/') {
     loadDirectory(path.dirname(currentDir));
@@ -1496,23 +6536,218 @@ tagList.key(['enter'], () => {
   }
 });
 
-tagList.key(['escape'], () => {
-  closeUploadDetail();
+const selectedJob = () => uploadQueue[queueList.selected];
+
+queueList.key(['enter'], () => {
+  const job = selectedJob();
+  if (job) showJobDetail(job);
+});
+
+queueList.key(['p', 'space'], () => {
+  const job = selectedJob();
+  if (!job) return;
+  if (job.status === 'paused') {
+    resumeJob(job);
+  } else {
+    pauseJob(job);
+  }
+});
+
+queueList.key(['c', 'delete'], () => {
+  const job = selectedJob();
+  if (job) cancelJob(job);
+});
+
+queueList.key(['r'], () => {
+  const job = selectedJob();
+  if (job) retryJob(job);
+});
+
+queueList.key(['x'], () => {
+  clearFinishedJobs();
+});
+
+queueList.key(['+', '='], () => {
+  setQueueConcurrency(getQueueSettings().concurrency + 1);
+});
+
+queueList.key(['-'], () => {
+  setQueueConcurrency(getQueueSettings().concurrency - 1);
+});
+
+// Upload actions, shared by the uploads and history lists and the upload details
+function downloadSelectedUpload() {
+  const upload = getSelectedUpload();
+  if (!upload) {
+    showMessage('Upload has no reference yet', 'error');
+    return;
+  }
+  queueDownload(upload.reference, upload.name.replace(/\/$/, ''));
+}
+
+// Pins the selected upload, or unpins it after asking
+async function togglePinSelectedUpload() {
+  const upload = getSelectedUpload();
+  if (!upload) {
+    showMessage('Upload has no reference yet', 'error');
+    return;
+  }
+  const list = getRightList();
+  const node = activeNode;
+  const name = upload.name || upload.reference.slice(0, 16);
+  let pinned;
+  try {
+    pinned = await isPinned(upload.reference, node);
+  } catch (err) {
+    showMessage(`Cannot read pin state: ${err.message}`, 'error');
+    return;
+  }
+  
+  const run = async (action, verb) => {
+    try {
+      await action(upload.reference, node);
+      showMessage(`${verb}: ${name}`, 'success');
+    } catch (err) {
+      showMessage(`${verb === 'Pinned' ? 'Pinning' : 'Unpinning'} failed: ${err.message}`, 'error');
+    }
+    if (rightView === 'pins') refreshPinList();
+  };
+  if (!pinned) {
+    showMessage(`Pinning ${name}...`, 'info');
+    run(pinReference, 'Pinned');
+    return;
+  }
+  showConfirmDialog({
+    title: 'Unpin Upload',
+    content: `Unpin {bold}${blessed.escape(name)}{/bold}?\n\nThe node may then evict its chunks from the local store.`,
+    height: 10,
+    width: 64,
+  }, () => {
+    list.focus();
+    run(unpinReference, 'Unpinned');
+  }, () => list.focus());
+}
+
+// Asks the node whether the selected upload can still be fetched from the network
+async function checkSelectedUpload() {
+  const upload = getSelectedUpload();
+  if (!upload) {
+    showMessage('Upload has no reference yet', 'error');
+    return;
+  }
+  const name = upload.name || upload.reference.slice(0, 16);
+  showMessage(`Checking whether ${name} is retrievable...`, 'info');
+  try {
+    const retrievable = await checkRetrievable(upload.reference);
+    showMessage(retrievable ? `${name} is retrievable` : `${name} is not retrievable - R re-uploads it`, retrievable ? 'success' : 'error');
+  } catch (err) {
+    showMessage(`Check failed: ${err.message}`, 'error');
+  }
+}
+
+function reuploadSelectedUpload() {
+  const upload = getSelectedUpload();
+  if (!upload) {
+    showMessage('Upload has no reference yet', 'error');
+    return;
+  }
+  startReupload([upload.reference], upload.name || upload.reference.slice(0, 16));
+}
+
+for (const list of [tagList, historyList]) {
+  list.key(['d'], downloadSelectedUpload);
+  list.key(['p'], togglePinSelectedUpload);
+  list.key(['c'], checkSelectedUpload);
+  list.key(['S-c'], () => checkAllUploads());
+  list.key(['r'], reuploadSelectedUpload);
+  list.key(['escape'], () => closeUploadDetail());
+}
+
+const selectedHistoryEntry = () => historyList.entries?.[historyList.selected];
+
+historyList.key(['enter'], () => {
+  const entry = selectedHistoryEntry();
+  if (!entry) return;
+  if (entry.key !== null) {
+    showUploadDetail(entry.tag || { uid: entry.tagUid }, entry.key);
+  } else if (isValidReference(entry.meta.reference)) {
+    showManifestExplorer(entry.meta.reference, entry.meta.name);
+  } else {
+    showMessage('The log only has the address of this encrypted upload, not its key', 'error');
+  }
+});
+
+historyList.key(['s'], () => {
+  const orders = Object.keys(HISTORY_ORDERS);
+  historyView.order = orders[(orders.indexOf(historyView.order) + 1) % orders.length];
+  renderHistoryList();
+});
+
+historyList.key(['f'], () => {
+  historyView.filter = HISTORY_FILTERS[(HISTORY_FILTERS.indexOf(historyView.filter) + 1) % HISTORY_FILTERS.length];
+  historyList.select(0);
+  renderHistoryList();
+});
+
+const selectedPin = () => pinList.pins?.[pinList.selected];
+
+pinList.key(['enter'], () => {
+  const reference = selectedPin();
+  if (reference) showManifestExplorer(reference);
+});
+
+pinList.key(['c'], () => {
+  const reference = selectedPin();
+  if (reference) runPinCheck(reference);
+});
+
+pinList.key(['r'], () => {
+  refreshPinList();
+});
+
+pinList.key(['d'], () => {
+  const reference = selectedPin();
+  if (reference) queueDownload(reference, null);
+});
+
+pinList.key(['delete', 'u'], () => {
+  const reference = selectedPin();
+  if (!reference) return;
+  const node = activeNode;
+  showConfirmDialog({
+    title: 'Unpin',
+    content: `Unpin {bold}${reference.slice(0, 32)}...{/bold}?\n\nThe node may then evict its chunks from the local store.`,
+    height: 10,
+    width: 64,
+  }, async () => {
+    pinList.focus();
+    try {
+      await unpinReference(reference, node);
+      showMessage(`Unpinned: ${reference.slice(0, 16)}...`, 'success');
+    } catch (err) {
+      showMessage(`Unpinning failed: ${err.message}`, 'error');
+    }
+    if (rightView === 'pins') refreshPinList();
+  }, () => pinList.focus());
 });
 
 screen.key(['escape'], () => {
+  if (selectedUploadDetail?.onEscape?.()) return;
   if (selectedUploadDetail) {
     closeUploadDetail();
   }
 });
 
 screen.key(['l'], () => {
-  if (selectedUploadDetail && selectedUploadDetail.meta?.isDirectory && selectedUploadDetail.meta?.files?.length && !selectedUploadDetail.isManifestView) {
-    showManifestFiles(selectedUploadDetail.meta);
+  if (selectedUploadDetail && !selectedUploadDetail.isManifestView) {
+    const meta = getUploadMeta(selectedUploadDetail.tagUid);
+    if (meta?.reference) showManifestExplorer(meta.reference, meta.name);
   }
 });
 
 // Initialize
+updateLeftLabel();
+updateRightLabel();
 updateBatchBar();
 loadDirectory(currentDir);
 leftBox.style.border.fg = 'cyan';
@@ -1523,4 +6758,16 @@ screen.render();
 // Initial tag fetch and periodic refresh
 refreshTagList();
 setInterval(refreshTagList, 1000);
+setInterval(() => {
+  if (rightView === 'history') refreshHistoryList();
+}, HISTORY_REFRESH_INTERVAL);
+
+// Resume unfinished uploads; the timer also picks up jobs whose retry delay is over
+processQueue();
+setInterval(() => {
+  processQueue();
+  renderQueue();
+}, 1000);
+refreshBatchInfo();
+setInterval(refreshBatchInfo, 30000);
 